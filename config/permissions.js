@@ -0,0 +1,175 @@
+// Permission policy: setiap role dipetakan ke daftar permission bernama.
+//
+// Format permission: <resource>:<action>[:<scope>]
+//   - tanpa scope atau scope "any" berlaku untuk semua data
+//   - scope lain adalah kondisi kepemilikan yang dicek terhadap dokumen
+//     (lihat `conditions` di services/permissionService.js):
+//       own       -> dokumen dibuat / di-assign oleh user (assignedBy, createdBy,
+//                    assignedByAdminId)
+//       assigned  -> user ada di assignedTo dokumen
+//       recipient -> user adalah penerima assignment request
+//       self      -> dokumen adalah user itu sendiri
+//       author    -> user adalah penulis dokumen (mis. komentar)
+//       owner     -> dokumen milik user (field `user`, mis. time entry)
+//       team      -> dokumen di-assign ke anggota team yang dikelola user
+//                    (atau di-assign oleh user itu sendiri)
+const PERMISSIONS = [
+  "task:create",
+  "task:read:any",
+  "task:read:team",
+  "task:read:assigned",
+  "task:update:any",
+  "task:update:team",
+  "task:update:own",
+  "task:reassign:any",
+  "task:reassign:own",
+  "task:delete:any",
+  "task:delete:team",
+  "task:delete:own",
+  "task:restore:any",
+  "task:restore:team",
+  "trash:read",
+  "trash:purge",
+  "task:status:update:any",
+  "task:status:update:team",
+  "task:status:update:assigned",
+  "task:checklist:update:any",
+  "task:checklist:update:team",
+  "task:checklist:update:assigned",
+  "dashboard:read:global",
+  "dashboard:read:own",
+  "comment:create",
+  "comment:update:author",
+  "comment:delete:any",
+  "comment:delete:author",
+  "series:list",
+  "series:create",
+  "series:read:any",
+  "series:read:own",
+  "series:manage:any",
+  "series:manage:own",
+  "template:read",
+  "template:create",
+  "template:manage:any",
+  "template:manage:own",
+  "time:track",
+  "time:manage:any",
+  "time:manage:owner",
+  "timesheet:read:any",
+  "timesheet:read:team",
+  "timesheet:read:self",
+  "assignment:create",
+  "assignment:read:any",
+  "assignment:read:team",
+  "assignment:respond:recipient",
+  "assignment:manage:any",
+  "assignment:manage:own",
+  "workload:check",
+  "workload:manage",
+  "unavailability:read",
+  "unavailability:manage:any",
+  "unavailability:manage:owner",
+  "user:list",
+  "user:read",
+  "user:update:any",
+  "user:update:self",
+  "user:update:position",
+  "user:update:role",
+  "user:manage-status",
+  "user:unlock",
+  "team:read",
+  "team:manage",
+  "invitation:manage",
+  "settings:manage",
+  "audit:read",
+  "security-log:read",
+  "report:export",
+  "personnel:read",
+  "personnel:manage",
+  "personnel:export",
+  "permission:read:any",
+];
+
+const ROLE_PERMISSIONS = {
+  // superadmin mendapat semua permission
+  superadmin: PERMISSIONS,
+  // admin dibatasi pada team yang dikelolanya (lihat pengaturan teamScope)
+  admin: [
+    "task:create",
+    "task:read:team",
+    "task:update:team",
+    "task:reassign:own",
+    "task:delete:team",
+    "task:restore:team",
+    "trash:read",
+    "task:status:update:team",
+    "task:checklist:update:team",
+    "dashboard:read:global",
+    "dashboard:read:own",
+    "comment:create",
+    "comment:update:author",
+    "comment:delete:author",
+    "series:list",
+    "series:create",
+    "series:read:own",
+    "series:manage:own",
+    "template:read",
+    "template:create",
+    "template:manage:own",
+    "time:track",
+    "time:manage:owner",
+    "timesheet:read:team",
+    "timesheet:read:self",
+    "assignment:create",
+    "assignment:read:team",
+    "assignment:manage:own",
+    "workload:check",
+    "unavailability:read",
+    "unavailability:manage:owner",
+    "user:list",
+    "user:read",
+    "user:update:self",
+    "user:unlock",
+    "team:read",
+    "report:export",
+    "security-log:read",
+  ],
+  // HRD hanya melihat project & personalia
+  hrd: [
+    "task:read:any",
+    "dashboard:read:global",
+    "dashboard:read:own",
+    "comment:create",
+    "comment:update:author",
+    "comment:delete:author",
+    "user:list",
+    "user:read",
+    "user:update:self",
+    "team:read",
+    "personnel:read",
+    "personnel:manage",
+    "personnel:export",
+    "timesheet:read:any",
+    "unavailability:read",
+    "unavailability:manage:any",
+  ],
+  user: [
+    "task:read:assigned",
+    "task:status:update:assigned",
+    "task:checklist:update:assigned",
+    "dashboard:read:own",
+    "comment:create",
+    "comment:update:author",
+    "comment:delete:author",
+    "assignment:respond:recipient",
+    "time:track",
+    "time:manage:owner",
+    "timesheet:read:self",
+    "unavailability:manage:owner",
+    "user:list",
+    "user:read",
+    "user:update:self",
+  ],
+};
+
+module.exports = { PERMISSIONS, ROLE_PERMISSIONS };
@@ -0,0 +1,47 @@
+// Status machine task: satu-satunya sumber status yang valid dan siapa yang
+// boleh memindahkan task dari satu status ke status lain.
+//
+// "system" adalah perubahan otomatis (mis. saat assignment request dijawab),
+// bukan role user.
+const TASK_STATUSES = [
+  "Pending Approval",
+  "Pending",
+  "In Progress",
+  "Completed",
+  "Rejected",
+];
+
+const STAFF = ["superadmin", "admin"];
+const WORKERS = ["superadmin", "admin", "user"];
+
+// TRANSITIONS[from][to] = role yang boleh melakukan transisi
+const TRANSITIONS = {
+  "Pending Approval": {
+    Pending: ["system"],
+    Rejected: ["system", ...STAFF],
+    // assignee yang sudah ada boleh mulai walau user lain belum menjawab
+    "In Progress": WORKERS,
+    Completed: WORKERS,
+  },
+  Pending: {
+    "Pending Approval": ["system"],
+    "In Progress": WORKERS,
+    Completed: WORKERS,
+    Rejected: ["system", ...STAFF],
+  },
+  "In Progress": {
+    Pending: WORKERS,
+    Completed: WORKERS,
+  },
+  Completed: {
+    // reopen
+    "In Progress": STAFF,
+    Pending: STAFF,
+  },
+  Rejected: {
+    "Pending Approval": ["system"],
+    Pending: ["system", ...STAFF],
+  },
+};
+
+module.exports = { TASK_STATUSES, TRANSITIONS };
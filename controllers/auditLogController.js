@@ -0,0 +1,126 @@
+const exceljs = require("exceljs");
+const AuditLog = require("../models/AuditLog");
+
+// filter dari query string: actor, action, entityType, entityId, from, to
+const buildAuditFilter = (query) => {
+  const { actor, action, entityType, entityId, from, to } = query;
+  const filter = {};
+  if (actor) filter.actor = actor;
+  if (action) filter.action = action;
+  if (entityType) filter.entityType = entityType;
+  if (entityId) filter.entityId = entityId;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+  return filter;
+};
+
+// @desc    Query audit log
+// @route   GET /api/audit-logs?actor=&action=&entityType=&entityId=&from=&to=&page=&limit=
+// @access  Private/superadmin
+const getAuditLogs = async (req, res) => {
+  try {
+    const filter = buildAuditFilter(req.query);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("actor", "name email role"),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    res.json({
+      logs,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+const EXPORT_MAX_ROWS = 100000;
+
+// @desc    Export audit log as an excel file (same filters as the query API).
+//          from and to are required and the export is capped at EXPORT_MAX_ROWS;
+//          rows are streamed to the response instead of built in memory.
+// @route   GET /api/audit-logs/export?from=&to=
+// @access  Private/superadmin
+const exportAuditLogs = async (req, res) => {
+  try {
+    const from = new Date(req.query.from);
+    const to = new Date(req.query.to);
+    if (!req.query.from || !req.query.to || isNaN(from.getTime()) || isNaN(to.getTime())) {
+      return res.status(400).json({ message: "from and to dates are required" });
+    }
+    if (from > to) {
+      return res.status(400).json({ message: "from must be before to" });
+    }
+
+    const filter = buildAuditFilter(req.query);
+    const total = await AuditLog.countDocuments(filter);
+    if (total > EXPORT_MAX_ROWS) {
+      return res.status(400).json({
+        message: `Export matches ${total} entries, the limit is ${EXPORT_MAX_ROWS}; narrow the date range`,
+      });
+    }
+
+    res.setHeader(
+      "Content-Type",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename=audit_log_${Date.now()}.xlsx`
+    );
+
+    const workbook = new exceljs.stream.xlsx.WorkbookWriter({ stream: res });
+    const worksheet = workbook.addWorksheet("Audit Log");
+    worksheet.columns = [
+      { header: "Timestamp", key: "createdAt", width: 25 },
+      { header: "Actor", key: "actor", width: 35 },
+      { header: "Role", key: "actorRole", width: 15 },
+      { header: "Action", key: "action", width: 30 },
+      { header: "Entity Type", key: "entityType", width: 20 },
+      { header: "Entity ID", key: "entityId", width: 25 },
+      { header: "Changes", key: "changes", width: 80 },
+      { header: "IP", key: "ip", width: 20 },
+    ];
+
+    const cursor = AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .populate("actor", "name email")
+      .cursor();
+    for await (const log of cursor) {
+      worksheet
+        .addRow({
+          createdAt: log.createdAt.toISOString(),
+          actor: log.actor ? `${log.actor.name} (${log.actor.email})` : "System",
+          actorRole: log.actorRole,
+          action: log.action,
+          entityType: log.entityType,
+          entityId: log.entityId ? log.entityId.toString() : "",
+          changes: JSON.stringify(log.changes || {}),
+          ip: log.ip,
+        })
+        .commit();
+    }
+    worksheet.commit();
+    await workbook.commit();
+  } catch (error) {
+    // sebagian file sudah terkirim, response hanya bisa diputus
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res
+      .status(500)
+      .json({ message: "Error exporting audit log", error: error.message });
+  }
+};
+
+module.exports = { getAuditLogs, exportAuditLogs };
@@ -1,35 +1,67 @@
 const User = require("../models/User");
+const Invitation = require("../models/Invitation");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
-
-// mengenerate jwt token
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: "30d",
-  });
-};
+const crypto = require("crypto");
+const { sendMail } = require("../services/mailService");
+const loginLimiter = require("../services/loginLimiter");
+const { logSecurityEvent } = require("../services/securityLogService");
+const { isTwoFactorRequired } = require("../services/settingsService");
+const { recordAudit, toSnapshot } = require("../services/auditService");
+const {
+  hashToken,
+  generateAccessToken,
+  generateTwoFactorToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllUserTokens,
+} = require("../services/tokenService");
 
 // @desc Register a new user
 // @route POST /api/auth/register
 // @access Public
 
 const registerUser = async (req, res) => {
-    try {
-    const { name, email, password, profileImageUrl, AdminInviteToken, position } =
-    req.body;
+  let invitation = null;
+  try {
+    const { name, email, password, profileImageUrl, position } = req.body;
+    // AdminInviteToken tetap diterima supaya client lama tidak perlu diubah
+    const inviteToken = req.body.inviteToken || req.body.AdminInviteToken;
 
     // check if user already exists
     const userExists = await User.findOne({ email });
     if (userExists) {
       return res.status(400).json({ message: "User already exists" });
     }
-    // determine user role based on AdminInviteToken
+
+    // determine role and position from the invitation, if any.
+    // The invitation is claimed atomically so it can only be used once.
     let role = "user";
-    if (
-      AdminInviteToken &&
-      AdminInviteToken == process.env.ADMIN_INVITE_TOKEN
-    ) {
-      role = "admin";
+    let assignedPosition = position;
+    if (inviteToken) {
+      invitation = await Invitation.findOneAndUpdate(
+        {
+          tokenHash: hashToken(inviteToken),
+          usedAt: null,
+          revokedAt: null,
+          expiresAt: { $gt: new Date() },
+        },
+        { usedAt: new Date() },
+        { new: true }
+      );
+      if (!invitation) {
+        return res
+          .status(400)
+          .json({ message: "Invitation is invalid, used or expired" });
+      }
+      if (invitation.email !== String(email).toLowerCase().trim()) {
+        await Invitation.updateOne({ _id: invitation._id }, { usedAt: null });
+        return res
+          .status(400)
+          .json({ message: "Invitation was issued for a different email" });
+      }
+      role = invitation.role;
+      assignedPosition = invitation.position || position;
     }
 
     // hash password
@@ -43,10 +75,22 @@ const registerUser = async (req, res) => {
       password: hashedPassword,
       profileImageUrl,
       role,
-      position,
+      position: assignedPosition,
+    });
+
+    if (invitation) {
+      invitation.usedBy = user._id;
+      await invitation.save();
+    }
+
+    await recordAudit(req, {
+      action: "user.register",
+      entityType: "User",
+      after: user,
+      actor: user,
     });
 
-    // mengembalikan data user dengan token jwt
+    // mengembalikan data user dengan access token dan refresh token
     res.status(201).json({
       _id: user._id,
       name: user.name,
@@ -54,9 +98,15 @@ const registerUser = async (req, res) => {
       profileImageUrl: user.profileImageUrl,
       role: user.role,
       position: user.position,
-      token: generateToken(user._id),
+      ...(await issueTokens(user, req)),
     });
   } catch (error) {
+    // registrasi gagal, undangan dikembalikan supaya bisa dipakai lagi
+    if (invitation && !invitation.usedBy) {
+      await Invitation.updateOne({ _id: invitation._id }, { usedAt: null }).catch(
+        () => {}
+      );
+    }
     res.status(500).json({ message: "Server error", error: error.message });
   }
 };
@@ -68,19 +118,67 @@ const registerUser = async (req, res) => {
 const loginUser = async (req, res) => {
   try {
     const { email, password } = req.body;
+    const attempt = { email, ip: req.ip };
 
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(401).json({ message: "Invalid email or password" });
+    // tolak lebih dulu jika akun atau IP sedang dikunci
+    const lockRemaining = await loginLimiter.getLockRemaining(attempt);
+    if (lockRemaining > 0) {
+      await logSecurityEvent(req, { event: "login_blocked", email });
+      const retryAfter = Math.ceil(lockRemaining / 1000);
+      res.setHeader("Retry-After", retryAfter);
+      return res.status(429).json({
+        message: "Too many failed login attempts, try again later",
+        retryAfter,
+      });
     }
 
-    // check password
-    const isMatch = await bcrypt.compare(password, user.password);
+    const user = await User.findOne({ email });
+    const isMatch = user ? await bcrypt.compare(password, user.password) : false;
+
     if (!isMatch) {
+      const { accountLockedFor, ipLockedFor } =
+        await loginLimiter.recordFailure(attempt);
+
+      await logSecurityEvent(req, {
+        event: "login_failed",
+        email,
+        user: user?._id,
+      });
+      if (accountLockedFor > 0) {
+        await logSecurityEvent(req, {
+          event: "account_locked",
+          email,
+          user: user?._id,
+          details: { lockedForSeconds: accountLockedFor / 1000 },
+        });
+      }
+      if (ipLockedFor > 0) {
+        await logSecurityEvent(req, {
+          event: "ip_locked",
+          email,
+          details: { lockedForSeconds: ipLockedFor / 1000 },
+        });
+      }
+
       return res.status(401).json({ message: "Invalid email or password" });
     }
 
-    // mengembalikan data user dengan token jwt
+    if (user.status && user.status !== "active") {
+      return res.status(403).json({ message: `Account is ${user.status}` });
+    }
+
+    // akun dengan 2FA: lanjut ke langkah kedua di POST /api/auth/login/2fa.
+    // The limiter is only reset once the second step succeeds.
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        twoFactorRequired: true,
+        twoFactorToken: generateTwoFactorToken(user),
+      });
+    }
+
+    await loginLimiter.recordSuccess(attempt);
+
+    // mengembalikan data user dengan access token dan refresh token
     res.status(200).json({
       _id: user._id,
       name: user.name,
@@ -88,7 +186,8 @@ const loginUser = async (req, res) => {
       profileImageUrl: user.profileImageUrl,
       role: user.role,
       position: user.position,
-      token: generateToken(user._id),
+      twoFactorSetupRequired: await isTwoFactorRequired(user.role),
+      ...(await issueTokens(user, req)),
     });
   } catch (error) {
     res.status(500).json({ message: "Server error", error: error.message });
@@ -123,16 +222,31 @@ const updateUserProfile = async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
+    const before = toSnapshot(user);
     user.name = req.body.name || user.name;
     user.email = req.body.email || user.email;
     user.position = req.body.position || user.position;
 
-    if (req.body.password) {
+    const passwordChanged = Boolean(req.body.password);
+    if (passwordChanged) {
       const salt = await bcrypt.genSalt(10);
       user.password = await bcrypt.hash(req.body.password, salt);
+      user.passwordChangedAt = new Date();
+      // password baru membatalkan semua sesi lama di device lain
+      await revokeAllUserTokens(user);
     }
 
     const updatedUser = await user.save();
+    await recordAudit(req, {
+      action: "user.profile.update",
+      entityType: "User",
+      before,
+      after: updatedUser,
+    });
+    const tokens = passwordChanged
+      ? await issueTokens(updatedUser, req)
+      : { token: generateAccessToken(updatedUser) };
+
     res.json({
       _id: updatedUser._id,
       name: updatedUser.name,
@@ -140,11 +254,187 @@ const updateUserProfile = async (req, res) => {
       profileImageUrl: updatedUser.profileImageUrl, // Anda bisa menambahkan ini jika diperlukan
       role: updatedUser.role,
       position: updatedUser.position,
-      token: generateToken(updatedUser._id),
+      ...tokens,
     });
   } catch (error) {
     res.status(500).json({ message: "Server error", error: error.message });
   }
 };
 
-module.exports = { registerUser, loginUser, getUserProfile, updateUserProfile };
+// @desc Exchange a refresh token for a new access/refresh token pair
+// @route POST /api/auth/refresh
+// @access Public (requires refresh token)
+
+const refreshAccessToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ message: "Refresh token is required" });
+    }
+
+    const result = await rotateRefreshToken(refreshToken, req);
+    if (result.error) {
+      return res.status(401).json({ message: result.error });
+    }
+
+    res.json({ token: result.token, refreshToken: result.refreshToken });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc Logout current session (revoke the given refresh token)
+// @route POST /api/auth/logout
+// @access Public (requires refresh token)
+
+const logoutUser = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ message: "Refresh token is required" });
+    }
+
+    await revokeRefreshToken(refreshToken);
+    res.json({ message: "Logged out successfully" });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc Logout from all devices (revoke every refresh and access token)
+// @route POST /api/auth/logout-all
+// @access Private required jwt
+
+const logoutAllDevices = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    await revokeAllUserTokens(user);
+    await user.save();
+    await recordAudit(req, {
+      action: "user.logoutAll",
+      entityType: "User",
+      entityId: user._id,
+    });
+
+    res.json({ message: "Logged out from all devices" });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+const RESET_TOKEN_TTL_MINUTES = Number(process.env.RESET_TOKEN_TTL_MINUTES) || 30;
+
+// @desc Request a password reset link
+// @route POST /api/auth/forgot-password
+// @access Public
+
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (typeof email !== "string" || !email.trim()) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+
+    // respon selalu sama supaya tidak bisa dipakai untuk mengecek email terdaftar
+    const genericResponse = {
+      message: "If the email is registered, a reset link has been sent",
+    };
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+    if (!user) {
+      return res.json(genericResponse);
+    }
+
+    const resetToken = crypto.randomBytes(32).toString("hex");
+    user.passwordResetTokenHash = hashToken(resetToken);
+    user.passwordResetExpires = new Date(
+      Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000
+    );
+    await user.save();
+
+    const resetUrl = `${process.env.CLIENT_URL || ""}/reset-password?token=${resetToken}`;
+    try {
+      await sendMail({
+        to: user.email,
+        subject: "Password reset request",
+        text:
+          `Hi ${user.name},\n\n` +
+          `Use the link below to reset your password. ` +
+          `It expires in ${RESET_TOKEN_TTL_MINUTES} minutes and can only be used once.\n\n` +
+          `${resetUrl}\n\n` +
+          `If you did not request this, you can ignore this email.`,
+      });
+    } catch (error) {
+      // error yang berbeda akan membocorkan bahwa email ini terdaftar
+      console.error("Failed to send password reset email:", error.message);
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc Reset password using a token from the reset email
+// @route POST /api/auth/reset-password
+// @access Public (requires reset token)
+
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (typeof token !== "string" || !token || typeof password !== "string" || !password) {
+      return res
+        .status(400)
+        .json({ message: "Token and new password are required" });
+    }
+
+    // token hanya bisa dipakai sekali: diklaim secara atomik, jadi dua request
+    // paralel dengan token yang sama tidak bisa sama-sama berhasil
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetTokenHash: hashToken(token),
+        passwordResetExpires: { $gt: new Date() },
+      },
+      { $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1 } },
+      { new: true }
+    );
+    if (!user) {
+      return res
+        .status(400)
+        .json({ message: "Reset token is invalid or has expired" });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(password, salt);
+    user.passwordChangedAt = new Date();
+
+    await revokeAllUserTokens(user);
+    await user.save();
+    await recordAudit(req, {
+      action: "user.password.reset",
+      entityType: "User",
+      entityId: user._id,
+      actor: user,
+    });
+
+    res.json({ message: "Password has been reset, please log in again" });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+module.exports = {
+  registerUser,
+  loginUser,
+  getUserProfile,
+  updateUserProfile,
+  refreshAccessToken,
+  logoutUser,
+  logoutAllDevices,
+  forgotPassword,
+  resetPassword,
+};
@@ -0,0 +1,132 @@
+const crypto = require("crypto");
+const Invitation = require("../models/Invitation");
+const User = require("../models/User");
+const { hashToken } = require("../services/tokenService");
+const { sendMail } = require("../services/mailService");
+const { recordAudit, toSnapshot } = require("../services/auditService");
+
+const INVITATION_TTL_DAYS = Number(process.env.INVITATION_TTL_DAYS) || 7;
+const VALID_ROLES = ["superadmin", "admin", "hrd", "user"];
+
+// @desc    Create an invitation bound to an email, role and position
+// @route   POST /api/invitations
+// @access  Private/superadmin
+const createInvitation = async (req, res) => {
+  try {
+    const { email, role = "user", position, expiresInDays } = req.body;
+
+    if (typeof email !== "string" || !email.trim()) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+    if (!VALID_ROLES.includes(role)) {
+      return res.status(400).json({ message: "Invalid role" });
+    }
+
+    const normalizedEmail = email.toLowerCase().trim();
+    const userExists = await User.findOne({ email: normalizedEmail });
+    if (userExists) {
+      return res.status(400).json({ message: "User already exists" });
+    }
+
+    const ttlDays = Number(expiresInDays) > 0 ? Number(expiresInDays) : INVITATION_TTL_DAYS;
+    const token = crypto.randomBytes(32).toString("hex");
+
+    const invitation = await Invitation.create({
+      email: normalizedEmail,
+      role,
+      position,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000),
+      invitedBy: req.user._id,
+    });
+
+    await recordAudit(req, {
+      action: "invitation.create",
+      entityType: "Invitation",
+      after: invitation,
+    });
+
+    const registerUrl = `${process.env.CLIENT_URL || ""}/signup?inviteToken=${token}`;
+    await sendMail({
+      to: normalizedEmail,
+      subject: "You have been invited",
+      text:
+        `${req.user.name} invited you to join as ${role}.\n\n` +
+        `Register using the link below. It expires in ${ttlDays} days and can only be used once.\n\n` +
+        `${registerUrl}`,
+    });
+
+    // token dikembalikan sekali saja supaya superadmin bisa membagikannya manual
+    res.status(201).json({ message: "Invitation created", invitation, token });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    List invitations, optionally filtered by status
+// @route   GET /api/invitations?status=pending|used|revoked|expired
+// @access  Private/superadmin
+const getInvitations = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const now = new Date();
+
+    const filter = {};
+    if (status === "pending") {
+      Object.assign(filter, { revokedAt: null, usedAt: null, expiresAt: { $gt: now } });
+    } else if (status === "used") {
+      Object.assign(filter, { revokedAt: null, usedAt: { $ne: null } });
+    } else if (status === "revoked") {
+      filter.revokedAt = { $ne: null };
+    } else if (status === "expired") {
+      Object.assign(filter, { revokedAt: null, usedAt: null, expiresAt: { $lte: now } });
+    }
+
+    const invitations = await Invitation.find(filter)
+      .sort({ createdAt: -1 })
+      .populate("invitedBy", "name email")
+      .populate("usedBy", "name email");
+
+    res.json({ invitations });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/invitations/:id
+// @access  Private/superadmin
+const revokeInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+    if (!invitation) {
+      return res.status(404).json({ message: "Invitation not found" });
+    }
+    if (invitation.usedAt) {
+      return res.status(400).json({ message: "Invitation has already been used" });
+    }
+    if (invitation.revokedAt) {
+      return res.status(400).json({ message: "Invitation already revoked" });
+    }
+
+    const before = toSnapshot(invitation);
+    invitation.revokedAt = new Date();
+    await invitation.save();
+    await recordAudit(req, {
+      action: "invitation.revoke",
+      entityType: "Invitation",
+      before,
+      after: invitation,
+    });
+
+    res.json({ message: "Invitation revoked", invitation });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+module.exports = {
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+};
@@ -0,0 +1,23 @@
+const {
+  getEffectivePermissions,
+  getPermissionMatrix,
+} = require("../services/permissionService");
+
+// @desc    Effective permissions of the logged-in user
+// @route   GET /api/permissions/me
+// @access  Private
+const getMyPermissions = async (req, res) => {
+  res.json({
+    role: req.user.role,
+    permissions: getEffectivePermissions(req.user.role),
+  });
+};
+
+// @desc    Full role -> permission matrix
+// @route   GET /api/permissions
+// @access  Private (permission:read:any)
+const getRolePermissions = async (req, res) => {
+  res.json({ roles: getPermissionMatrix() });
+};
+
+module.exports = { getMyPermissions, getRolePermissions };
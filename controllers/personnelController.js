@@ -0,0 +1,210 @@
+const mongoose = require("mongoose");
+const EmployeeRecord = require("../models/EmployeeRecord");
+const User = require("../models/User");
+const { recordAudit, toSnapshot } = require("../services/auditService");
+
+const EDITABLE_FIELDS = [
+  "employeeNumber",
+  "department",
+  "joinDate",
+  "employmentStatus",
+  "emergencyContact",
+];
+const EMPLOYMENT_STATUSES = EmployeeRecord.schema.path("employmentStatus").enumValues;
+
+// search dipakai sebagai teks biasa, bukan pola regex
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Checks the editable fields present in body; returns an error message or null.
+const validateEmployeeFields = (body) => {
+  if (body.joinDate !== undefined && Number.isNaN(new Date(body.joinDate).getTime())) {
+    return "joinDate must be a valid date";
+  }
+  if (
+    body.employmentStatus !== undefined &&
+    !EMPLOYMENT_STATUSES.includes(body.employmentStatus)
+  ) {
+    return `employmentStatus must be one of: ${EMPLOYMENT_STATUSES.join(", ")}`;
+  }
+  return null;
+};
+
+// @desc    List employee records
+// @route   GET /api/personnel?department=&employmentStatus=&search=
+// @access  Private (HRD, superadmin)
+const getEmployees = async (req, res) => {
+  try {
+    const { department, employmentStatus, search } = req.query;
+    const filter = {};
+    if (department) filter.department = department;
+    if (employmentStatus) filter.employmentStatus = employmentStatus;
+    if (search) {
+      // cari berdasarkan nomor karyawan atau nama/email user
+      const pattern = escapeRegex(String(search));
+      const users = await User.find({
+        $or: [
+          { name: { $regex: pattern, $options: "i" } },
+          { email: { $regex: pattern, $options: "i" } },
+        ],
+      }).select("_id");
+      filter.$or = [
+        { employeeNumber: { $regex: pattern, $options: "i" } },
+        { user: { $in: users.map((user) => user._id) } },
+      ];
+    }
+
+    const employees = await EmployeeRecord.find(filter)
+      .sort({ employeeNumber: 1 })
+      .populate("user", "name email position role profileImageUrl status");
+
+    res.json({ employees });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Get employee record by id
+// @route   GET /api/personnel/:id
+// @access  Private (HRD, superadmin)
+const getEmployeeById = async (req, res) => {
+  try {
+    const employee = await EmployeeRecord.findById(req.params.id).populate(
+      "user",
+      "name email position role profileImageUrl status"
+    );
+    if (!employee) {
+      return res.status(404).json({ message: "Employee record not found" });
+    }
+    res.json(employee);
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Create employee record for an existing user
+// @route   POST /api/personnel
+// @access  Private (HRD, superadmin)
+const createEmployee = async (req, res) => {
+  try {
+    const { user: userId, employeeNumber, joinDate } = req.body;
+    if (!userId || !employeeNumber || !joinDate) {
+      return res
+        .status(400)
+        .json({ message: "user, employeeNumber and joinDate are required" });
+    }
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ message: "user must be a valid user ID" });
+    }
+    const fieldError = validateEmployeeFields(req.body);
+    if (fieldError) {
+      return res.status(400).json({ message: fieldError });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const existing = await EmployeeRecord.findOne({
+      $or: [{ user: userId }, { employeeNumber }],
+    });
+    if (existing) {
+      return res.status(400).json({
+        message: "Employee record already exists for this user or employee number",
+      });
+    }
+
+    const data = { user: userId, createdBy: req.user._id };
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const employee = await EmployeeRecord.create(data);
+    await recordAudit(req, {
+      action: "employee.create",
+      entityType: "EmployeeRecord",
+      after: employee,
+    });
+
+    res.status(201).json({ message: "Employee record created successfully", employee });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Update employee record
+// @route   PUT /api/personnel/:id
+// @access  Private (HRD, superadmin)
+const updateEmployee = async (req, res) => {
+  try {
+    const fieldError = validateEmployeeFields(req.body);
+    if (fieldError) {
+      return res.status(400).json({ message: fieldError });
+    }
+
+    const employee = await EmployeeRecord.findById(req.params.id);
+    if (!employee) {
+      return res.status(404).json({ message: "Employee record not found" });
+    }
+    const before = toSnapshot(employee);
+
+    if (
+      req.body.employeeNumber &&
+      req.body.employeeNumber !== employee.employeeNumber
+    ) {
+      const duplicate = await EmployeeRecord.findOne({
+        employeeNumber: req.body.employeeNumber,
+      });
+      if (duplicate) {
+        return res.status(400).json({ message: "Employee number already in use" });
+      }
+    }
+
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) employee[field] = req.body[field];
+    });
+
+    await employee.save();
+    await recordAudit(req, {
+      action: "employee.update",
+      entityType: "EmployeeRecord",
+      before,
+      after: employee,
+    });
+
+    res.json({ message: "Employee record updated successfully", employee });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Delete employee record
+// @route   DELETE /api/personnel/:id
+// @access  Private (HRD, superadmin)
+const deleteEmployee = async (req, res) => {
+  try {
+    const employee = await EmployeeRecord.findById(req.params.id);
+    if (!employee) {
+      return res.status(404).json({ message: "Employee record not found" });
+    }
+
+    await employee.deleteOne();
+    await recordAudit(req, {
+      action: "employee.delete",
+      entityType: "EmployeeRecord",
+      before: employee,
+    });
+
+    res.json({ message: "Employee record deleted successfully" });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+module.exports = {
+  getEmployees,
+  getEmployeeById,
+  createEmployee,
+  updateEmployee,
+  deleteEmployee,
+};
@@ -1,13 +1,28 @@
 const Task = require("../models/Task");
 const User = require("../models/User");
+const EmployeeRecord = require("../models/EmployeeRecord");
 const exceljs = require("exceljs");
+const {
+  toObjectIds,
+  resolveTeamFilter,
+  getTaskVisibilityFilter,
+} = require("../services/teamService");
+const {
+  getWeekBounds,
+  buildTimesheet,
+  getEntriesForWeek,
+} = require("../services/timeTrackingService");
 
 // @desc get all taks as an excel file (admin only)
-// @route GET /api/report/export/tasks
+// @route GET /api/report/export/tasks?team=
 // @access Private/admin
 const exportTasksReport = async (req, res) => {
   try {
-    const tasks = await Task.find().populate("assignedTo", "name email");
+    const visibility = await getTaskVisibilityFilter(req.user, req.query.team);
+    if (visibility.error) {
+      return res.status(visibility.status).json({ message: visibility.error });
+    }
+    const tasks = await Task.find(visibility.filter).populate("assignedTo", "name email");
     const workbook = new exceljs.Workbook();
     const worksheet = workbook.addWorksheet("Tasks Report");
     worksheet.columns = [
@@ -51,12 +66,24 @@ const exportTasksReport = async (req, res) => {
 };
 
 // @desc get all users as an excel file (admin only)
-// @route GET /api/report/export/users
+// @route GET /api/report/export/users?team=
 // @access Private/admin
 const exportUsersReport = async (req, res) => {
   try {
-    const users = await User.find().select("name email _id").lean();
-    const userTask = await Task.find({}).populate("assignedTo", "name email");
+    // null berarti tidak dibatasi (superadmin atau tanpa filter team)
+    const { memberIds, error, status } = await resolveTeamFilter(
+      req.user,
+      req.query.team
+    );
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+    const userFilter = memberIds ? { _id: { $in: toObjectIds(memberIds) } } : {};
+
+    const users = await User.find(userFilter).select("name email _id").lean();
+    const userTask = await Task.find(
+      memberIds ? { assignedTo: { $in: toObjectIds(memberIds) } } : {}
+    ).populate("assignedTo", "name email");
     const userTaskMap = {};
     users.forEach((user) => {
       userTaskMap[user._id] = {
@@ -126,7 +153,135 @@ const exportUsersReport = async (req, res) => {
   }
 };
 
+// @desc get all employee records as an excel file (HRD, superadmin)
+// @route GET /api/reports/export/personnel
+// @access Private/hrd
+const exportPersonnelReport = async (req, res) => {
+  try {
+    const employees = await EmployeeRecord.find()
+      .sort({ employeeNumber: 1 })
+      .populate("user", "name email position");
+
+    const workbook = new exceljs.Workbook();
+    const worksheet = workbook.addWorksheet("Personnel Report");
+    worksheet.columns = [
+      { header: "Employee Number", key: "employeeNumber", width: 20 },
+      { header: "Name", key: "name", width: 30 },
+      { header: "Email", key: "email", width: 35 },
+      { header: "Position", key: "position", width: 20 },
+      { header: "Department", key: "department", width: 25 },
+      { header: "Join Date", key: "joinDate", width: 15 },
+      { header: "Employment Status", key: "employmentStatus", width: 20 },
+      { header: "Emergency Contact", key: "emergencyContactName", width: 25 },
+      { header: "Relationship", key: "emergencyContactRelationship", width: 15 },
+      { header: "Emergency Phone", key: "emergencyContactPhone", width: 20 },
+    ];
+    employees.forEach((employee) => {
+      worksheet.addRow({
+        employeeNumber: employee.employeeNumber,
+        name: employee.user?.name || "",
+        email: employee.user?.email || "",
+        position: employee.user?.position || "",
+        department: employee.department || "",
+        joinDate: employee.joinDate
+          ? employee.joinDate.toISOString().split("T")[0]
+          : "",
+        employmentStatus: employee.employmentStatus,
+        emergencyContactName: employee.emergencyContact?.name || "",
+        emergencyContactRelationship: employee.emergencyContact?.relationship || "",
+        emergencyContactPhone: employee.emergencyContact?.phone || "",
+      });
+    });
+
+    res.setHeader(
+      "Content-Type",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename=personnel_report_${Date.now()}.xlsx`
+    );
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error exporting personnel", error: error.message });
+  }
+};
+
+// @desc export weekly timesheets (hours per user per task per day) as an excel file
+// @route GET /api/reports/export/timesheet?week=YYYY-MM-DD&team=
+// @access Private/admin (admins only get members of their teams)
+const exportTimesheetReport = async (req, res) => {
+  try {
+    const week = getWeekBounds(req.query.week);
+    if (!week) {
+      return res.status(400).json({ message: "week must be a valid date" });
+    }
+    const { memberIds, error, status } = await resolveTeamFilter(
+      req.user,
+      req.query.team
+    );
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+    const userFilter = memberIds ? { _id: { $in: toObjectIds(memberIds) } } : {};
+
+    const users = await User.find(userFilter).select("name email").sort({ name: 1 });
+    const entries = await getEntriesForWeek(
+      { user: { $in: users.map((user) => user._id) } },
+      week
+    );
+
+    const workbook = new exceljs.Workbook();
+    const worksheet = workbook.addWorksheet("Timesheet");
+    const { days } = buildTimesheet([], week.start);
+    worksheet.columns = [
+      { header: "User", key: "user", width: 25 },
+      { header: "Email", key: "email", width: 30 },
+      { header: "Task", key: "task", width: 40 },
+      ...days.map((day, i) => ({ header: day, key: `day${i}`, width: 12 })),
+      { header: "Total (h)", key: "total", width: 12 },
+    ];
+
+    const toHours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+    users.forEach((user) => {
+      const sheet = buildTimesheet(
+        entries.filter((entry) => entry.user.toString() === user._id.toString()),
+        week.start
+      );
+      sheet.rows.forEach((row) => {
+        worksheet.addRow({
+          user: user.name,
+          email: user.email,
+          task: row.task.title,
+          ...row.minutes.reduce((acc, minutes, i) => ({ ...acc, [`day${i}`]: toHours(minutes) }), {}),
+          total: toHours(row.total),
+        });
+      });
+    });
+
+    res.setHeader(
+      "Content-Type",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename=timesheet_${days[0]}.xlsx`
+    );
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error Exporting Timesheet", error: error.message });
+  }
+};
+
 module.exports = {
   exportTasksReport,
   exportUsersReport,
+  exportPersonnelReport,
+  exportTimesheetReport,
 };
@@ -0,0 +1,41 @@
+const SecurityLog = require("../models/SecurityLog");
+
+// @desc    Query security log (failed logins, lockouts, unlocks)
+// @route   GET /api/security-logs?event=&email=&user=&from=&to=&page=&limit=
+// @access  Private/admin, superadmin
+const getSecurityLogs = async (req, res) => {
+  try {
+    const { event, email, user, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const filter = {};
+    if (event) filter.event = event;
+    if (email) filter.email = String(email).toLowerCase().trim();
+    if (user) filter.user = user;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const [logs, total] = await Promise.all([
+      SecurityLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("user", "name email")
+        .populate("actor", "name email"),
+      SecurityLog.countDocuments(filter),
+    ]);
+
+    res.json({
+      logs,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+module.exports = { getSecurityLogs };
@@ -0,0 +1,259 @@
+const { getSetting, updateSetting } = require("../services/settingsService");
+const { recordAudit } = require("../services/auditService");
+const { parseWorkloadPolicy } = require("../services/workloadService");
+
+const VALID_ROLES = ["superadmin", "admin", "hrd", "user"];
+
+// @desc    Get two-factor policy (roles for which 2FA is mandatory)
+// @route   GET /api/settings/two-factor
+// @access  Private/superadmin
+const getTwoFactorSettings = async (req, res) => {
+  try {
+    res.json(await getSetting("twoFactor"));
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Update two-factor policy
+// @route   PUT /api/settings/two-factor
+// @access  Private/superadmin
+const updateTwoFactorSettings = async (req, res) => {
+  try {
+    const { requiredRoles } = req.body;
+    if (
+      !Array.isArray(requiredRoles) ||
+      requiredRoles.some((role) => !VALID_ROLES.includes(role))
+    ) {
+      return res
+        .status(400)
+        .json({ message: "requiredRoles must be an array of valid roles" });
+    }
+
+    const before = await getSetting("twoFactor");
+    const setting = await updateSetting(
+      "twoFactor",
+      { requiredRoles: [...new Set(requiredRoles)] },
+      req.user._id
+    );
+    await recordAudit(req, {
+      action: "settings.twoFactor.update",
+      entityType: "SystemSetting",
+      entityId: setting._id,
+      before,
+      after: setting.value,
+    });
+
+    res.json({
+      message: "Two-factor settings updated successfully",
+      ...(await getSetting("twoFactor")),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Get team scoping policy for admins
+// @route   GET /api/settings/team-scope
+// @access  Private/superadmin
+const getTeamScopeSettings = async (req, res) => {
+  try {
+    res.json(await getSetting("teamScope"));
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Turn admin team scoping on or off
+// @route   PUT /api/settings/team-scope
+// @access  Private/superadmin
+const updateTeamScopeSettings = async (req, res) => {
+  try {
+    const { adminScopedToTeams } = req.body;
+    if (typeof adminScopedToTeams !== "boolean") {
+      return res
+        .status(400)
+        .json({ message: "adminScopedToTeams must be a boolean" });
+    }
+
+    const before = await getSetting("teamScope");
+    const setting = await updateSetting(
+      "teamScope",
+      { adminScopedToTeams },
+      req.user._id
+    );
+    await recordAudit(req, {
+      action: "settings.teamScope.update",
+      entityType: "SystemSetting",
+      entityId: setting._id,
+      before,
+      after: setting.value,
+    });
+
+    res.json({
+      message: "Team scope settings updated successfully",
+      ...(await getSetting("teamScope")),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Get trash retention (days before trashed tasks are purged)
+// @route   GET /api/settings/task-retention
+// @access  Private/superadmin
+const getTaskRetentionSettings = async (req, res) => {
+  try {
+    res.json(await getSetting("taskRetention"));
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Update trash retention
+// @route   PUT /api/settings/task-retention
+// @access  Private/superadmin
+const updateTaskRetentionSettings = async (req, res) => {
+  try {
+    const { days } = req.body;
+    if (!Number.isInteger(days) || days < 1 || days > 3650) {
+      return res
+        .status(400)
+        .json({ message: "days must be an integer between 1 and 3650" });
+    }
+
+    const before = await getSetting("taskRetention");
+    const setting = await updateSetting("taskRetention", { days }, req.user._id);
+    await recordAudit(req, {
+      action: "settings.taskRetention.update",
+      entityType: "SystemSetting",
+      entityId: setting._id,
+      before,
+      after: setting.value,
+    });
+
+    res.json({
+      message: "Task retention settings updated successfully",
+      ...(await getSetting("taskRetention")),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Get the workload policy used to decide when an assignment needs approval
+// @route   GET /api/settings/workload-policy
+// @access  Private/superadmin
+const getWorkloadPolicySettings = async (req, res) => {
+  try {
+    res.json(await getSetting("workloadPolicy"));
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Update the workload policy (partial updates are merged)
+// @route   PUT /api/settings/workload-policy
+//          { priorityWeights, useEffortEstimates, defaultEffortHours, windowDays, defaultCapacity }
+// @access  Private/superadmin
+const updateWorkloadPolicySettings = async (req, res) => {
+  try {
+    const before = await getSetting("workloadPolicy");
+    const { policy, error } = parseWorkloadPolicy(req.body, before);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const setting = await updateSetting("workloadPolicy", policy, req.user._id);
+    await recordAudit(req, {
+      action: "settings.workloadPolicy.update",
+      entityType: "SystemSetting",
+      entityId: setting._id,
+      before,
+      after: setting.value,
+    });
+
+    res.json({
+      message: "Workload policy updated successfully",
+      ...(await getSetting("workloadPolicy")),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Get assignment request deadlines (expiry and reminder timing)
+// @route   GET /api/settings/assignment-requests
+// @access  Private/superadmin
+const getAssignmentRequestSettings = async (req, res) => {
+  try {
+    res.json(await getSetting("assignmentRequests"));
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Update assignment request deadlines (applies to requests created afterwards)
+// @route   PUT /api/settings/assignment-requests  { responseHours, reminderHoursBefore }
+// @access  Private/superadmin
+const updateAssignmentRequestSettings = async (req, res) => {
+  try {
+    const before = await getSetting("assignmentRequests");
+    const {
+      responseHours = before.responseHours,
+      reminderHoursBefore = before.reminderHoursBefore,
+    } = req.body;
+
+    const validResponseHours =
+      responseHours === null ||
+      (Number.isInteger(responseHours) && responseHours >= 1 && responseHours <= 720);
+    if (!validResponseHours) {
+      return res
+        .status(400)
+        .json({ message: "responseHours must be null or an integer between 1 and 720" });
+    }
+    if (!Number.isInteger(reminderHoursBefore) || reminderHoursBefore < 0) {
+      return res
+        .status(400)
+        .json({ message: "reminderHoursBefore must be a non-negative integer" });
+    }
+    if (responseHours !== null && reminderHoursBefore >= responseHours) {
+      return res
+        .status(400)
+        .json({ message: "reminderHoursBefore must be less than responseHours" });
+    }
+
+    const setting = await updateSetting(
+      "assignmentRequests",
+      { responseHours, reminderHoursBefore },
+      req.user._id
+    );
+    await recordAudit(req, {
+      action: "settings.assignmentRequests.update",
+      entityType: "SystemSetting",
+      entityId: setting._id,
+      before,
+      after: setting.value,
+    });
+
+    res.json({
+      message: "Assignment request settings updated successfully",
+      ...(await getSetting("assignmentRequests")),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+module.exports = {
+  getTwoFactorSettings,
+  updateTwoFactorSettings,
+  getTeamScopeSettings,
+  updateTeamScopeSettings,
+  getTaskRetentionSettings,
+  updateTaskRetentionSettings,
+  getWorkloadPolicySettings,
+  updateWorkloadPolicySettings,
+  getAssignmentRequestSettings,
+  updateAssignmentRequestSettings,
+};
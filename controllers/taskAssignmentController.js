@@ -1,5 +1,26 @@
+const mongoose = require("mongoose");
 const TaskAssignmentRequest = require("../models/TaskAssignmentRequest");
 const Task = require("../models/Task");
+const User = require("../models/User");
+const { recordAudit, toSnapshot } = require("../services/auditService");
+const { recordTaskActivity } = require("../services/taskActivityService");
+const { syncAssignmentStatus } = require("../services/taskStatusService");
+const { evaluateAssignment } = require("../services/workloadService");
+const {
+  getTeamScope,
+  isInTeamScope,
+  toObjectIds,
+  getTaskVisibilityFilter,
+} = require("../services/teamService");
+const { can, getScopes } = require("../services/permissionService");
+const { resolveConflicts, recordConflictOverride } = require("../services/conflictService");
+const {
+  getResponseDeadline,
+  isPastDeadline,
+  openAssignmentRequest,
+  expireRequest,
+  withdrawRequest,
+} = require("../services/assignmentRequestService");
 
 // Create a new task assignment request
 const createTaskAssignmentRequest = async (req, res) => {
@@ -7,6 +28,26 @@ try {
 const { taskId, assignedToUserId } = req.body;
 const assignedByAdminId = req.user._id;
 
+    if (!mongoose.isValidObjectId(taskId) || !mongoose.isValidObjectId(assignedToUserId)) {
+      return res
+        .status(400)
+        .json({ message: "taskId and assignedToUserId must be valid IDs" });
+    }
+
+    // task harus terlihat oleh admin, dan user tujuan harus di dalam team nya
+    const { filter } = await getTaskVisibilityFilter(req.user);
+    const task = await Task.findOne({ $and: [{ _id: taskId }, filter] });
+    if (!task) {
+      return res.status(404).json({ message: "Task not found" });
+    }
+    const scope = await getTeamScope(req.user);
+    if (!isInTeamScope(scope, assignedToUserId)) {
+      return res.status(403).json({ message: "You can only assign users within your team" });
+    }
+    if (!(await User.exists({ _id: assignedToUserId }))) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
     // Check if a pending request already exists for this task and user
     const existingRequest = await TaskAssignmentRequest.findOne({
       taskId,
@@ -18,12 +59,7 @@ const assignedByAdminId = req.user._id;
       return res.status(400).json({ message: "Pending assignment request already exists" });
     }
 
-    const newRequest = await TaskAssignmentRequest.create({
-      taskId,
-      assignedByAdminId,
-      assignedToUserId,
-      status: "Pending",
-    });
+    const newRequest = await openAssignmentRequest(task, assignedToUserId, assignedByAdminId, req);
 
     res.status(201).json({ message: "Task assignment request created", request: newRequest });
   } catch (error) {
@@ -31,6 +67,10 @@ const assignedByAdminId = req.user._id;
   }
 };
 
+// populate() leaves taskId null for tasks in the trash; their requests are
+// on hold until the task is restored, so they are not listed.
+const withoutTrashedTasks = (requests) => requests.filter((request) => request.taskId);
+
 // Get all pending assignment requests for the logged-in user
 const getUserAssignmentRequests = async (req, res) => {
   try {
@@ -42,92 +82,177 @@ const getUserAssignmentRequests = async (req, res) => {
       .populate("taskId", "title description priority dueDate")
       .populate("assignedByAdminId", "name email");
 
-    res.json({ requests });
+    res.json({ requests: withoutTrashedTasks(requests) });
   } catch (error) {
     res.status(500).json({ message: "Server error", error: error.message });
   }
 };
 
-// Approve or reject a task assignment request
+const PRIORITIES = ["Low", "Medium", "High"];
+
+// Validate a counter-proposal against the task it is for.
+// Returns { proposal } or { error }.
+const parseCounterProposal = (body, task) => {
+  const { proposedDueDate, proposedPriority, message = "" } = body;
+  if (!proposedDueDate && !proposedPriority) {
+    return { error: "Propose a new dueDate and / or priority" };
+  }
+
+  let dueDate = null;
+  if (proposedDueDate) {
+    dueDate = new Date(proposedDueDate);
+    if (isNaN(dueDate.getTime())) {
+      return { error: "proposedDueDate must be a valid date" };
+    }
+    if (dueDate <= new Date()) {
+      return { error: "proposedDueDate must be in the future" };
+    }
+    if (dueDate.getTime() === task.dueDate?.getTime()) {
+      dueDate = null;
+    }
+  }
+
+  let priority = null;
+  if (proposedPriority) {
+    if (!PRIORITIES.includes(proposedPriority)) {
+      return { error: `proposedPriority must be one of: ${PRIORITIES.join(", ")}` };
+    }
+    if (proposedPriority !== task.priority) {
+      priority = proposedPriority;
+    }
+  }
+
+  if (!dueDate && !priority) {
+    return { error: "Counter-proposal doesn't change the task" };
+  }
+  return { proposal: { dueDate, priority, message: String(message) } };
+};
+
+// Approve, reject or counter a task assignment request
 const respondToAssignmentRequest = async (req, res) => {
   try {
     const requestId = req.params.id;
-    const { action, rejectionReason } = req.body; // "approve" or "reject" and optional rejectionReason
+    // "approve", "reject" (optional rejectionReason) or
+    // "counter" (proposedDueDate and / or proposedPriority, optional message)
+    const { action, rejectionReason } = req.body;
 
     const request = await TaskAssignmentRequest.findById(requestId);
     if (!request) {
       return res.status(404).json({ message: "Assignment request not found" });
     }
+    // task di trash: request ditahan (tidak bisa dijawab) sampai task di-restore
+    const task = await Task.findById(request.taskId);
+    if (!task) {
+      return res.status(404).json({ message: "Task not found" });
+    }
 
-    if (request.assignedToUserId.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: "Not authorized to respond to this request" });
+    if (request.status === "Pending" && isPastDeadline(request)) {
+      // scheduler belum sempat jalan, tapi deadline sudah lewat
+      await expireRequest(request);
     }
+    if (request.status !== "Pending") {
+      return res
+        .status(400)
+        .json({ message: `Assignment request is already ${request.status.toLowerCase()}` });
+    }
+
+    const before = toSnapshot(request);
 
     if (action === "approve") {
       // Update the task's assignedTo to include this user if not already included
-      const task = await Task.findById(request.taskId);
-      if (!task) {
-        return res.status(404).json({ message: "Task not found" });
-      }
-
+      const taskBefore = toSnapshot(task);
       if (!task.assignedTo.includes(request.assignedToUserId)) {
         task.assignedTo.push(request.assignedToUserId);
         await task.save();
+        await recordAudit(req, {
+          action: "task.assign",
+          entityType: "Task",
+          before: taskBefore,
+          after: task,
+        });
       }
+      await recordTaskActivity(req, {
+        task,
+        type: "assignment_approved",
+        before: taskBefore,
+        details: { userId: request.assignedToUserId, requestId: request._id },
+      });
 
       request.status = "Approved";
       request.rejectionReason = null; // clear rejection reason if any
+      request.counterProposal = null; // accepting the original terms drops an open counter
       await request.save();
+      await recordAudit(req, {
+        action: "assignmentRequest.approve",
+        entityType: "TaskAssignmentRequest",
+        before,
+        after: request,
+      });
+      await syncAssignmentStatus(task, req);
 
       res.json({ message: "Assignment request approved", request });
     } else if (action === "reject") {
       request.status = "Rejected";
       request.rejectionReason = rejectionReason || null;
+      request.counterProposal = null;
       await request.save();
+      await recordAudit(req, {
+        action: "assignmentRequest.reject",
+        entityType: "TaskAssignmentRequest",
+        before,
+        after: request,
+      });
+      await recordTaskActivity(req, {
+        task: { _id: request.taskId },
+        type: "assignment_rejected",
+        details: {
+          userId: request.assignedToUserId,
+          requestId: request._id,
+          reason: request.rejectionReason,
+        },
+      });
 
-      // Check if all assignment requests for this task are rejected
-      const allRequests = await TaskAssignmentRequest.find({ taskId: request.taskId });
-      const allRejected = allRequests.length > 0 && allRequests.every(r => r.status === "Rejected");
-
-      // Update task status accordingly
-      const task = await Task.findById(request.taskId);
-      if (task) {
-        // Get all assigned user IDs from the task
-        const assignedUserIds = task.assignedTo.map(id => id.toString());
-
-        // Get user IDs from assignment requests
-        const requestUserIds = allRequests.map(r => r.assignedToUserId.toString());
-
-        // Users assigned directly (without assignment requests)
-        const directAssignedUserIds = assignedUserIds.filter(id => !requestUserIds.includes(id));
-
-        // Consider direct assigned users as approved
-        const directAssignedApprovedCount = directAssignedUserIds.length;
-
-        // Count approved and rejected requests
-        const approvedRequestsCount = allRequests.filter(r => r.status === "Approved").length;
-        const rejectedRequestsCount = allRequests.filter(r => r.status === "Rejected").length;
-        const pendingRequestsCount = allRequests.filter(r => r.status === "Pending").length;
-
-        // Total users count
-        const totalUsersCount = assignedUserIds.length;
-
-        // Determine task status
-        if (rejectedRequestsCount === allRequests.length && directAssignedApprovedCount === 0) {
-          // All requests rejected and no direct assigned users
-          task.status = "Rejected";
-        } else if (pendingRequestsCount > 0) {
-          task.status = "Pending Approval";
-        } else if (approvedRequestsCount + directAssignedApprovedCount > 0) {
-          task.status = "Pending";
-        } else {
-          task.status = "Pending Approval";
-        }
+      // status task mengikuti hasil semua assignment request
+      await syncAssignmentStatus(task, req);
 
-        await task.save();
+      res.json({ message: "Assignment request rejected", request });
+    } else if (action === "counter") {
+      const { proposal, error } = parseCounterProposal(req.body, task);
+      if (error) {
+        return res.status(400).json({ message: error });
       }
 
-      res.json({ message: "Assignment request rejected", request });
+      request.counterProposal = { ...proposal, proposedAt: new Date() };
+      request.negotiation.push({
+        action: "counter",
+        by: req.user._id,
+        proposedDueDate: proposal.dueDate,
+        proposedPriority: proposal.priority,
+        message: proposal.message,
+      });
+      // giliran admin menjawab, dengan deadline sendiri (lihat setting assignmentRequests)
+      request.expiresAt = await getResponseDeadline();
+      request.reminderSentAt = null;
+      await request.save();
+      await recordAudit(req, {
+        action: "assignmentRequest.counter",
+        entityType: "TaskAssignmentRequest",
+        before,
+        after: request,
+      });
+      await recordTaskActivity(req, {
+        task,
+        type: "assignment_countered",
+        details: {
+          userId: request.assignedToUserId,
+          requestId: request._id,
+          proposedDueDate: proposal.dueDate,
+          proposedPriority: proposal.priority,
+          message: proposal.message,
+        },
+      });
+
+      res.json({ message: "Counter-proposal sent", request });
     } else {
       res.status(400).json({ message: "Invalid action" });
     }
@@ -136,54 +261,285 @@ const respondToAssignmentRequest = async (req, res) => {
   }
 };
 
-// New controller method to check high priority tasks for users
-const User = require("../models/User");
+// @desc    Accept or decline the user's counter-proposal. Accepting updates the
+//          task's due date / priority and approves the request; declining puts
+//          the request back to the user with a fresh response deadline.
+// @route   PUT /api/task-assignment/:id/counter  { action: "accept" | "decline", message, conflictOverride }
+// @access  Private (assignment:manage, own requests or any; accepting also needs task:update)
+const respondToCounterProposal = async (req, res) => {
+  try {
+    const { action, message = "" } = req.body;
+    if (!["accept", "decline"].includes(action)) {
+      return res.status(400).json({ message: "action must be accept or decline" });
+    }
 
-const checkHighPriorityTasks = async (req, res) => {
+    const request = await TaskAssignmentRequest.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({ message: "Assignment request not found" });
+    }
+    const task = await Task.findById(request.taskId);
+    if (!task) {
+      return res.status(404).json({ message: "Task not found" });
+    }
+
+    if (isPastDeadline(request)) {
+      await expireRequest(request);
+    }
+    if (request.status !== "Pending" || !request.counterProposal) {
+      return res.status(400).json({ message: "Assignment request has no open counter-proposal" });
+    }
+
+    const before = toSnapshot(request);
+    const proposal = request.counterProposal;
+
+    if (action === "decline") {
+      request.counterProposal = null;
+      request.negotiation.push({ action: "decline", by: req.user._id, message: String(message) });
+      request.expiresAt = await getResponseDeadline();
+      request.reminderSentAt = null;
+      await request.save();
+      await recordAudit(req, {
+        action: "assignmentRequest.declineCounter",
+        entityType: "TaskAssignmentRequest",
+        before,
+        after: request,
+      });
+      await recordTaskActivity(req, {
+        task,
+        type: "assignment_counter_declined",
+        details: { userId: request.assignedToUserId, requestId: request._id, message },
+      });
+
+      return res.json({ message: "Counter-proposal declined", request });
+    }
+
+    // scope "team" di permission butuh team scope user yang sudah di-cache
+    await getTeamScope(req.user);
+    if (!can(req.user, "task:update", task)) {
+      return res.status(403).json({ message: "Access denied: missing permission task:update" });
+    }
+
+    const dueDate = proposal.dueDate || task.dueDate;
+    const priority = proposal.priority || task.priority;
+    const conflictCheck = await resolveConflicts(
+      {
+        _id: task._id,
+        priority,
+        dueDate,
+        location: proposal.dueDate ? task.location : null,
+        assignedTo: [...task.assignedTo, request.assignedToUserId],
+      },
+      req
+    );
+    if (conflictCheck.error) {
+      return res
+        .status(conflictCheck.status)
+        .json({ message: conflictCheck.error, conflicts: conflictCheck.conflicts });
+    }
+    const { override } = conflictCheck;
+
+    const taskBefore = toSnapshot(task);
+    task.dueDate = dueDate;
+    task.priority = priority;
+    if (!task.assignedTo.some((id) => id.equals(request.assignedToUserId))) {
+      task.assignedTo.push(request.assignedToUserId);
+    }
+    if (override) {
+      task.conflictOverrides.push(override);
+    }
+    await task.save();
+    await recordAudit(req, {
+      action: "task.update",
+      entityType: "Task",
+      before: taskBefore,
+      after: task,
+    });
+    await recordTaskActivity(req, {
+      task,
+      type: "assignment_counter_accepted",
+      before: taskBefore,
+      details: {
+        userId: request.assignedToUserId,
+        requestId: request._id,
+        proposedDueDate: proposal.dueDate,
+        proposedPriority: proposal.priority,
+      },
+    });
+    if (override) {
+      await recordConflictOverride(task, override, req);
+    }
+
+    request.status = "Approved";
+    request.rejectionReason = null;
+    request.counterProposal = null;
+    request.negotiation.push({
+      action: "accept",
+      by: req.user._id,
+      proposedDueDate: proposal.dueDate,
+      proposedPriority: proposal.priority,
+      message: String(message),
+    });
+    await request.save();
+    await recordAudit(req, {
+      action: "assignmentRequest.acceptCounter",
+      entityType: "TaskAssignmentRequest",
+      before,
+      after: request,
+    });
+    await syncAssignmentStatus(task, req);
+
+    res.json({ message: "Counter-proposal accepted", request, task });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Withdraw a pending assignment request
+// @route   POST /api/task-assignment/:id/withdraw  { reason }
+// @access  Private (assignment:manage, own requests or any)
+const withdrawAssignmentRequest = async (req, res) => {
   try {
-    const { userIds } = req.body;
-    if (!userIds || !Array.isArray(userIds)) {
-      return res.status(400).json({ message: "Invalid userIds" });
+    const request = await TaskAssignmentRequest.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({ message: "Assignment request not found" });
+    }
+    if (request.status !== "Pending") {
+      return res.status(400).json({ message: "Only pending assignment requests can be withdrawn" });
+    }
+
+    await withdrawRequest(request, req, { reason: req.body.reason || null });
+    res.json({ message: "Assignment request withdrawn", request });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Re-target a pending or expired assignment request to another user
+// @route   POST /api/task-assignment/:id/reassign  { userId, reason }
+// @access  Private (assignment:manage, own requests or any)
+const reassignAssignmentRequest = async (req, res) => {
+  try {
+    const { userId, reason } = req.body;
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ message: "userId must be a valid user ID" });
+    }
+
+    const request = await TaskAssignmentRequest.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({ message: "Assignment request not found" });
+    }
+    if (!["Pending", "Expired"].includes(request.status)) {
+      return res
+        .status(400)
+        .json({ message: "Only pending or expired assignment requests can be reassigned" });
+    }
+    if (request.assignedToUserId.toString() === userId.toString()) {
+      return res.status(400).json({ message: "Request is already for this user" });
     }
 
-    // Find users who have 2 or more high priority tasks assigned
-    const usersWithHighPriorityTasks = [];
+    const task = await Task.findById(request.taskId);
+    if (!task) {
+      return res.status(404).json({ message: "Task not found" });
+    }
+    if (task.assignedTo.some((id) => id.toString() === userId.toString())) {
+      return res.status(400).json({ message: "User is already assigned to this task" });
+    }
 
-    for (const userId of userIds) {
-      const count = await Task.countDocuments({
-        assignedTo: userId,
-        priority: "High",
-        status: { $ne: "Completed" },
+    const scope = await getTeamScope(req.user);
+    if (!isInTeamScope(scope, userId)) {
+      return res.status(403).json({ message: "You can only assign users within your team" });
+    }
+    if (!(await User.exists({ _id: userId }))) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    const duplicate = await TaskAssignmentRequest.findOne({
+      taskId: request.taskId,
+      assignedToUserId: userId,
+      status: "Pending",
+    });
+    if (duplicate) {
+      return res.status(400).json({ message: "Pending assignment request already exists" });
+    }
+
+    // request baru dibuat dulu supaya task tetap "Pending Approval"
+    const newRequest = await openAssignmentRequest(task, userId, req.user._id, req);
+
+    if (request.status === "Pending") {
+      await withdrawRequest(request, req, {
+        reason: reason || "Reassigned",
+        replacedBy: newRequest._id,
+      });
+    } else {
+      const before = toSnapshot(request);
+      request.replacedBy = newRequest._id;
+      await request.save();
+      await recordAudit(req, {
+        action: "assignmentRequest.reassign",
+        entityType: "TaskAssignmentRequest",
+        before,
+        after: request,
       });
+    }
+    await syncAssignmentStatus(task, req);
 
-      if (count >= 2) {
-        // Fetch user details directly
-        const user = await User.findById(userId).select("name profileImageUrl");
-        if (user) {
-          usersWithHighPriorityTasks.push({
-            _id: user._id,
-            name: user.name,
-            profileImageUrl: user.profileImageUrl || null,
-          });
-        } else {
-          usersWithHighPriorityTasks.push({ _id: userId });
-        }
-      }
+    res.status(201).json({
+      message: "Assignment request reassigned",
+      request: newRequest,
+      previousRequest: request,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Check which users are over their workload capacity (see workload policy).
+// Optional priority / effortHours / dueDate describe the task about to be assigned.
+const checkHighPriorityTasks = async (req, res) => {
+  try {
+    const { userIds, priority, effortHours, dueDate } = req.body;
+    if (!userIds || !Array.isArray(userIds)) {
+      return res.status(400).json({ message: "Invalid userIds" });
     }
 
-    res.json({ users: usersWithHighPriorityTasks });
+    const { details } = await evaluateAssignment(userIds, { priority, effortHours, dueDate });
+    const usersOverCapacity = details
+      .filter((detail) => detail.overloaded)
+      .map((detail) => detail.user);
+
+    res.json({ users: usersOverCapacity, workload: details });
   } catch (error) {
     res.status(500).json({ message: "Server error", error: error.message });
-  }};
+  }
+};
 
+// @desc    Pending assignment requests; team-scoped admins only see requests
+//          for users in their teams or that they sent themselves
+// @route   GET /api/task-assignment/all-requests
+// @access  Private (assignment:read, any or team)
 const getAllAssignmentRequests = async (req, res) => {
   try {
-    const requests = await TaskAssignmentRequest.find({ status: "Pending" })
+    const filter = { status: "Pending" };
+    if (!can(req.user, "assignment:read")) {
+      if (!getScopes(req.user, "assignment:read").includes("team")) {
+        return res
+          .status(403)
+          .json({ message: "Access denied: missing permission assignment:read" });
+      }
+      const scope = await getTeamScope(req.user);
+      if (scope) {
+        filter.$or = [
+          { assignedToUserId: { $in: toObjectIds(scope) } },
+          { assignedByAdminId: req.user._id },
+        ];
+      }
+    }
+
+    const requests = await TaskAssignmentRequest.find(filter)
       .populate("taskId", "title description priority dueDate")
       .populate("assignedToUserId", "name email")
       .populate("assignedByAdminId", "name email");
 
-    res.json({ requests });
+    res.json({ requests: withoutTrashedTasks(requests) });
   } catch (error) {
     res.status(500).json({ message: "Server error", error: error.message });
   }
@@ -193,6 +549,9 @@ module.exports = {
   createTaskAssignmentRequest,
   getUserAssignmentRequests,
   respondToAssignmentRequest,
+  respondToCounterProposal,
+  withdrawAssignmentRequest,
+  reassignAssignmentRequest,
   checkHighPriorityTasks,
   getAllAssignmentRequests,
 };
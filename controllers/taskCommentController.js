@@ -0,0 +1,211 @@
+const mongoose = require("mongoose");
+const Task = require("../models/Task");
+const TaskComment = require("../models/TaskComment");
+const { resolveMentions } = require("../services/mentionService");
+const { recordAudit, toSnapshot } = require("../services/auditService");
+
+const AUTHOR_FIELDS = "name email profileImageUrl";
+
+// lampiran dari upload multipart + URL yang sudah diupload lewat /api/upload
+const collectAttachments = (req) => {
+  const uploaded = (req.files || []).map(
+    (file) => `${req.protocol}://${req.get("host")}/uploads/${file.filename}`
+  );
+  const provided = [].concat(req.body.attachments || []).filter(Boolean);
+  return provided.concat(uploaded);
+};
+
+// attachments di body: satu URL atau array URL (string)
+const hasValidAttachments = (req) =>
+  [].concat(req.body.attachments ?? []).every((item) => typeof item === "string");
+
+// Build the reply tree. Deleted comments are kept only as placeholders
+// for replies that still exist under them.
+const buildThread = (comments) => {
+  const nodes = new Map();
+  comments.forEach((comment) => {
+    const node = { ...comment.toObject(), replies: [] };
+    if (node.deletedAt) {
+      Object.assign(node, { body: "", attachments: [], mentions: [] });
+    }
+    nodes.set(comment._id.toString(), node);
+  });
+
+  const roots = [];
+  nodes.forEach((node) => {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    if (parent) {
+      parent.replies.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  const prune = (list) =>
+    list.filter((node) => {
+      node.replies = prune(node.replies);
+      return !node.deletedAt || node.replies.length > 0;
+    });
+  return prune(roots);
+};
+
+// @desc    Get the comment thread of a task
+// @route   GET /api/tasks/:id/comments
+// @access  Private (same visibility as getTaskById)
+const getTaskComments = async (req, res) => {
+  try {
+    const comments = await TaskComment.find({ task: req.params.id })
+      .sort({ createdAt: 1 })
+      .populate("author", AUTHOR_FIELDS)
+      .populate("mentions", "name email");
+
+    res.json({ comments: buildThread(comments) });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Add a comment or reply (multipart, field "attachments" for files)
+// @route   POST /api/tasks/:id/comments
+// @access  Private (same visibility as getTaskById)
+const createTaskComment = async (req, res) => {
+  try {
+    const { body = "", parent } = req.body;
+    if (typeof body !== "string") {
+      return res.status(400).json({ message: "body must be a string" });
+    }
+    if (!hasValidAttachments(req)) {
+      return res.status(400).json({ message: "attachments must be an array of strings" });
+    }
+    if (parent && !mongoose.isValidObjectId(parent)) {
+      return res.status(400).json({ message: "parent must be a valid comment ID" });
+    }
+    const attachments = collectAttachments(req);
+
+    if (!body.trim() && attachments.length === 0) {
+      return res
+        .status(400)
+        .json({ message: "Comment must have text or an attachment" });
+    }
+
+    if (parent) {
+      const parentComment = await TaskComment.findOne({
+        _id: parent,
+        task: req.params.id,
+      });
+      if (!parentComment) {
+        return res.status(404).json({ message: "Parent comment not found" });
+      }
+    }
+
+    const task = await Task.findById(req.params.id);
+    const comment = await TaskComment.create({
+      task: req.params.id,
+      author: req.user._id,
+      parent: parent || null,
+      body,
+      attachments,
+      mentions: await resolveMentions(body, task),
+    });
+    await recordAudit(req, {
+      action: "comment.create",
+      entityType: "TaskComment",
+      after: comment,
+    });
+
+    const populated = await comment.populate([
+      { path: "author", select: AUTHOR_FIELDS },
+      { path: "mentions", select: "name email" },
+    ]);
+    res.status(201).json({ message: "Comment added successfully", comment: populated });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Edit a comment (author only)
+// @route   PUT /api/tasks/:id/comments/:commentId
+// @access  Private (comment:update)
+const updateTaskComment = async (req, res) => {
+  try {
+    const comment = await TaskComment.findOne({
+      _id: req.params.commentId,
+      task: req.params.id,
+      deletedAt: null,
+    });
+    if (!comment) {
+      return res.status(404).json({ message: "Comment not found" });
+    }
+    const before = toSnapshot(comment);
+
+    if (req.body.body !== undefined) {
+      if (typeof req.body.body !== "string") {
+        return res.status(400).json({ message: "body must be a string" });
+      }
+      const task = await Task.findById(req.params.id);
+      comment.body = req.body.body;
+      comment.mentions = await resolveMentions(req.body.body, task);
+    }
+    if (!hasValidAttachments(req)) {
+      return res.status(400).json({ message: "attachments must be an array of strings" });
+    }
+    if (req.body.attachments !== undefined || (req.files || []).length > 0) {
+      comment.attachments = collectAttachments(req);
+    }
+    if (!comment.body.trim() && comment.attachments.length === 0) {
+      return res
+        .status(400)
+        .json({ message: "Comment must have text or an attachment" });
+    }
+    comment.editedAt = new Date();
+
+    await comment.save();
+    await recordAudit(req, {
+      action: "comment.update",
+      entityType: "TaskComment",
+      before,
+      after: comment,
+    });
+
+    res.json({ message: "Comment updated successfully", comment });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Delete a comment (author, or comment:delete:any)
+// @route   DELETE /api/tasks/:id/comments/:commentId
+// @access  Private (comment:delete)
+const deleteTaskComment = async (req, res) => {
+  try {
+    const comment = await TaskComment.findOne({
+      _id: req.params.commentId,
+      task: req.params.id,
+      deletedAt: null,
+    });
+    if (!comment) {
+      return res.status(404).json({ message: "Comment not found" });
+    }
+    const before = toSnapshot(comment);
+
+    comment.deletedAt = new Date();
+    await comment.save();
+    await recordAudit(req, {
+      action: "comment.delete",
+      entityType: "TaskComment",
+      before,
+      after: comment,
+    });
+
+    res.json({ message: "Comment deleted successfully" });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+module.exports = {
+  getTaskComments,
+  createTaskComment,
+  updateTaskComment,
+  deleteTaskComment,
+};
@@ -1,8 +1,179 @@
+const mongoose = require("mongoose");
 const Task = require("../models/Task");
 const User = require("../models/User");
+const { recordAudit, toSnapshot } = require("../services/auditService");
+const { can } = require("../services/permissionService");
+const TaskActivity = require("../models/TaskActivity");
+const {
+  parseRule,
+  validateScheduleOptions,
+  createSeriesFromTask,
+  handleTaskCompleted,
+} = require("../services/recurrenceService");
+const {
+  recordTaskActivity,
+  describeActivity,
+  resolveUserNames,
+} = require("../services/taskActivityService");
+const {
+  getTeamScope,
+  getTaskVisibilityFilter,
+  validateAssignees,
+} = require("../services/teamService");
+const { getOpenBlockers } = require("../services/dependencyService");
+const { evaluateAssignment } = require("../services/workloadService");
+const { withdrawRequestsForUsers } = require("../services/assignmentRequestService");
+const {
+  validateOverride,
+  resolveConflicts,
+  recordConflictOverride,
+} = require("../services/conflictService");
+const { TASK_STATUSES } = require("../config/taskStatus");
+const {
+  getAllowedTransitions,
+  transitionTask,
+} = require("../services/taskStatusService");
+const {
+  buildChecklist,
+  findInvalidItemAssignees,
+  findForeignItemChanges,
+  findOpenForeignItems,
+  unassignRemovedUsers,
+  computeProgress,
+} = require("../services/checklistService");
+
+// task yang masih punya blocker terbuka tidak boleh dimulai / diselesaikan
+const STARTED_STATUSES = ["In Progress", "Completed"];
+
+const blockedResponse = (res, blockers) =>
+  res.status(400).json({
+    message: "Task is blocked by tasks that are not completed yet",
+    blockers,
+  });
+
+// Filter for the task list from query params (also used by bulk operations).
+// Returns { baseFilter, withStatus } or { error, status }.
+const buildTaskListFilter = async (user, query) => {
+  const {
+    assignedTo,
+    assignedBy,
+    priority, // single value or comma separated, e.g. "High,Medium"
+    dueFrom,
+    dueTo,
+    overdue,
+    search, // full-text over title, description, checklist and address
+    team,
+  } = query;
+
+  // task yang boleh dilihat user (semua, team yang dikelola, atau yang di-assign)
+  const visibility = await getTaskVisibilityFilter(user, team);
+  if (visibility.error) {
+    return visibility;
+  }
+
+  let filter = {};
+
+  if (assignedTo) {
+    if (!mongoose.isValidObjectId(assignedTo)) {
+      return { error: "Invalid assignedTo user id", status: 400 };
+    }
+    filter.assignedTo = new mongoose.Types.ObjectId(assignedTo);
+  }
+
+  if (assignedBy) {
+    if (!mongoose.isValidObjectId(assignedBy)) {
+      return { error: "Invalid assignedBy user id", status: 400 };
+    }
+    filter.assignedBy = new mongoose.Types.ObjectId(assignedBy);
+  }
+
+  if (priority) {
+    const priorities = String(priority).split(",").map((value) => value.trim());
+    filter.priority = { $in: priorities };
+  }
+
+  if (dueFrom || dueTo) {
+    filter.dueDate = {};
+    if (dueFrom) filter.dueDate.$gte = new Date(dueFrom);
+    if (dueTo) filter.dueDate.$lte = new Date(dueTo);
+    if (Object.values(filter.dueDate).some((date) => isNaN(date.getTime()))) {
+      return { error: "dueFrom/dueTo must be valid dates", status: 400 };
+    }
+  }
+
+  if (overdue === "true" || overdue === true) {
+    filter.dueDate = { ...filter.dueDate, $lt: new Date() };
+    filter.status = { $ne: "Completed" };
+  }
+
+  // the visibility filter wins over a requested assignedTo
+  const baseFilter = visibility.filter.assignedTo
+    ? { ...filter, ...visibility.filter }
+    : { $and: [filter, visibility.filter] };
+
+  // $text must sit at the top level of the query
+  if (search) {
+    baseFilter.$text = { $search: search };
+  }
+
+  const withStatus = (value) => ({
+    ...baseFilter,
+    $and: [...(baseFilter.$and || []), { status: value }],
+  });
+
+  return { baseFilter, withStatus };
+};
+
+// effortHours opsional: null / undefined atau angka >= 0
+const isValidEffort = (value) =>
+  value === undefined || value === null || (typeof value === "number" && value >= 0);
+
+const requestAssignments = async (task, userIds, user) => {
+  const taskAssignmentController = require("./taskAssignmentController");
+  for (const userId of userIds) {
+    await taskAssignmentController.createTaskAssignmentRequest(
+      {
+        body: { taskId: task._id, assignedToUserId: userId },
+        user,
+      },
+      {
+        status: () => ({ json: () => {} }),
+      }
+    );
+  }
+};
+
+// Assignee change shared by updateTask and the bulk add / remove operations.
+// Added users go through the workload check like in createTask (overloaded ones
+// get an assignment request instead of the task); removed users lose their open
+// requests. Returns the list to save as assignedTo plus `finish`, to call once
+// the task is saved.
+const planAssigneeChange = async (task, nextAssignees, req) => {
+  const current = task.assignedTo.map(String);
+  const next = nextAssignees.map(String);
+  const added = [...new Set(next)].filter((id) => !current.includes(id));
+  const removed = current.filter((id) => !next.includes(id));
+  const { available, overloaded } =
+    added.length > 0
+      ? await evaluateAssignment(added, task)
+      : { available: [], overloaded: [] };
+
+  return {
+    added,
+    assigned: available,
+    assignmentRequested: overloaded,
+    assignedTo: [...task.assignedTo.filter((id) => next.includes(id.toString())), ...available],
+    finish: async () => {
+      await requestAssignments(task, overloaded, req.user);
+      return removed.length > 0
+        ? withdrawRequestsForUsers(task._id, removed, req, "Removed from task")
+        : [];
+    },
+  };
+};
 
-// @desc    Get all tasks
-// @route   GET /api/tasks
+// @desc    Get all tasks (paginated, filterable, full-text searchable)
+// @route   GET /api/tasks?status=&search=&priority=&assignedTo=&assignedBy=&dueFrom=&dueTo=&overdue=&team=&sortBy=&sortOrder=&page=&limit=
 // @access  Private
 const TaskAssignmentRequest =
   require("./taskAssignmentController").TaskAssignmentRequest ||
@@ -10,59 +181,48 @@ const TaskAssignmentRequest =
 
   const getTasks = async (req, res) => {
     try {
-      const {
-        status,
-        sortBy = "createdAt",
-        sortOrder = "desc",
-        assignedTo,
-        search, // Add search parameter
-      } = req.query;
-
-      let filter = {};
-
-      if (status && status !== "All") {
-        filter.status = status;
-      }
-
-      if (assignedTo) {
-        filter.assignedTo = assignedTo;
-      }
+      const { status, sortBy = "createdAt", sortOrder = "desc", search } = req.query;
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
 
-      // Add search filter if search term is provided
-      if (search) {
-        filter.title = { $regex: search, $options: "i" }; // Case-insensitive search
+      const built = await buildTaskListFilter(req.user, req.query);
+      if (built.error) {
+        return res.status(built.status).json({ message: built.error });
       }
+      const { baseFilter, withStatus } = built;
+      const statusFilter = status && status !== "All" ? withStatus(status) : baseFilter;
 
       // Validate and set sort options
-      const validSortFields = ["createdAt", "dueDate"];
+      const validSortFields = ["createdAt", "dueDate", "relevance"];
       const validSortOrders = ["asc", "desc"];
 
-      const sortField = validSortFields.includes(sortBy) ? sortBy : "createdAt";
+      let sortField = validSortFields.includes(sortBy) ? sortBy : "createdAt";
+      if (sortField === "relevance" && !search) {
+        sortField = "createdAt";
+      }
       const sortDirection = validSortOrders.includes(sortOrder)
         ? sortOrder === "asc"
           ? 1
           : -1
         : -1;
 
-      const sortOptions = { [sortField]: sortDirection };
+      // _id as tie breaker keeps pages stable
+      const sortOptions =
+        sortField === "relevance"
+          ? { score: { $meta: "textScore" }, _id: -1 }
+          : { [sortField]: sortDirection, _id: sortDirection };
 
-      let tasks;
-
-      if (req.user.role === "admin") {
-        tasks = await Task.find(filter)
+      const [tasks, total] = await Promise.all([
+        Task.find(statusFilter, search ? { score: { $meta: "textScore" } } : {})
           .sort(sortOptions)
+          .skip((page - 1) * limit)
+          .limit(limit)
           .populate([
             { path: "assignedTo", select: "name email profileImageUrl" },
             { path: "assignedBy", select: "name email profileImageUrl" },
-          ]);
-      } else {
-        tasks = await Task.find({ ...filter, assignedTo: req.user._id })
-          .sort(sortOptions)
-          .populate([
-            { path: "assignedTo", select: "name email profileImageUrl" },
-            { path: "assignedBy", select: "name email profileImageUrl" },
-          ]);
-      }
+          ]),
+        Task.countDocuments(statusFilter),
+      ]);
 
       // For each task, check assignment requests and update assignedTo and status accordingly
       const tasksWithAssignmentInfo = await Promise.all(
@@ -78,6 +238,7 @@ const TaskAssignmentRequest =
             assignmentMap[req.assignedToUserId.toString()] = {
               status: req.status,
               rejectionReason: req.rejectionReason,
+              counterProposal: req.counterProposal || null,
             };
           });
 
@@ -100,6 +261,7 @@ const TaskAssignmentRequest =
               rejected: req?.status === "Rejected",
               pending: req?.status === "Pending",
               rejectionReason: req?.rejectionReason || null,
+              counterProposal: req?.counterProposal || null,
             };
           });
 
@@ -126,107 +288,51 @@ const TaskAssignmentRequest =
               pending: assignmentMap[user._id.toString()]?.status === "Pending",
               rejectionReason:
                 assignmentMap[user._id.toString()]?.rejectionReason || null,
+              counterProposal:
+                assignmentMap[user._id.toString()]?.counterProposal || null,
             }));
             assignedToWithRejection =
               assignedToWithRejection.concat(extraUsersWithInfo);
           }
 
-          // Determine if any assigned user has pending request
-          const hasPending = Object.values(assignmentMap).some(
-            (req) => req.status === "Pending"
-          );
-
-          // Determine if all assigned users rejected
-          const originalAssignedToIds = task._doc.assignedTo.map((id) =>
-            id.toString()
-          );
-          const allRejected =
-            originalAssignedToIds.length > 0 &&
-            originalAssignedToIds.every((userId) => {
-              const req = assignmentMap[userId];
-              return req?.status === "Rejected";
-            });
-
-          // Special case: if only one assigned user and rejected, mark rejected
-          const singleUserRejected =
-            task.assignedTo &&
-            task.assignedTo.length === 1 &&
-            assignmentMap[task.assignedTo[0]._id.toString()]?.status ===
-              "Rejected";
-
-          // Determine if any assigned user approved
-          const hasApproved = Object.values(assignmentMap).some(
-            (req) => req.status === "Approved"
-          );
-
-          // Determine if todo checklist started (any item completed)
-          const todoStarted = task.todoChecklist.some((item) => item.completed);
-
-          // Determine if all todo checklist items are completed
-          const allTodoCompleted =
-            task.todoChecklist.length > 0 &&
-            task.todoChecklist.every((item) => item.completed);
-
-          // Set task status accordingly
-          let status = task.status;
-          if (allRejected || singleUserRejected) {
-            status = "Rejected";
-          } else if (hasPending) {
-            status = "Pending Approval";
-          } else if (hasApproved && allTodoCompleted) {
-            status = "Completed";
-          } else if (hasApproved && todoStarted) {
-            status = "In Progress";
-          } else if (hasApproved && !todoStarted) {
-            status = "Pending";
-          }
-
           const completedCount = task.todoChecklist.filter(
             (item) => item.completed
           ).length;
 
-          // Update task.status to the computed status
-          task.status = status;
-
-          const { status: originalStatus, ...taskWithoutStatus } = task._doc;
-
+          // status is persisted by the state machine (services/taskStatusService.js)
           return {
-            ...taskWithoutStatus,
+            ...task._doc,
             assignedTo: assignedToWithRejection,
             completedTodoCount: completedCount,
-            status,
+            checklistProgress: computeProgress(task),
           };
         })
       );
 
-      // Status summary count (updated to use the same filter)
-      const statusFilter =
-        req.user.role === "admin"
-          ? filter
-          : { ...filter, assignedTo: req.user._id };
-
-      const allTasks = await Task.countDocuments(statusFilter);
-      const pendingTasks = await Task.countDocuments({
-        ...statusFilter,
-        status: "Pending",
-      });
-      const inProgressTasks = await Task.countDocuments({
-        ...statusFilter,
-        status: "In Progress",
-      });
-      const completedTasks = await Task.countDocuments({
-        ...statusFilter,
-        status: "Completed",
-      });
+      // Status summary over every task matching the filters (all pages, any status)
+      const [
+        allTasks,
+        pendingApprovalTasks,
+        pendingTasks,
+        inProgressTasks,
+        completedTasks,
+        rejectedTasks,
+      ] = await Promise.all([
+        Task.countDocuments(baseFilter),
+        ...TASK_STATUSES.map((value) => Task.countDocuments(withStatus(value))),
+      ]);
 
       res.json({
         tasks: tasksWithAssignmentInfo,
         statusSummary: {
           all: allTasks,
+          pendingApprovalTasks,
           pendingTasks,
           inProgressTasks,
           completedTasks,
+          rejectedTasks,
         },
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) },
       });
     } catch (error) {
       res.status(500).json({ message: "Server error", error: error.message });
@@ -235,15 +341,20 @@ const TaskAssignmentRequest =
 
 const getTaskById = async (req, res) => {
   try {
-    const task = await Task.findById(req.params.id).populate(
-      "assignedTo",
-      "name email profileImageUrl"
-    );
+    const task = await Task.findById(req.params.id).populate([
+      { path: "assignedTo", select: "name email profileImageUrl" },
+      { path: "todoChecklist.assignedTo", select: "name" },
+      { path: "todoChecklist.completedBy", select: "name" },
+    ]);
 
     if (!task) {
       return res.status(404).json({ message: "Task not found" });
     }
-    res.json(task);
+    res.json({
+      ...task.toObject(),
+      checklistProgress: computeProgress(task),
+      allowedStatusTransitions: getAllowedTransitions(task.status, req.user),
+    });
   } catch (error) {
     res.status(500).json({ message: "Server error", error: error.message });
   }
@@ -260,67 +371,108 @@ const createTask = async (req, res) => {
       attachments,
       todoChecklist,
       location,
+      effortHours,
+      recurrence, // optional { rule, generateOn, leadTimeDays }
     } = req.body;
 
-    if (!Array.isArray(assignedTo)) {
-      return res
-        .status(400)
-        .json({ message: "assignedTo must be an array of user IDs" });
+    // admin yang dibatasi team hanya boleh meng-assign anggota team nya
+    const assigneeCheck = await validateAssignees(req.user, assignedTo);
+    if (assigneeCheck) {
+      const { error, status, ...details } = assigneeCheck;
+      return res.status(status).json({ message: error, ...details });
     }
 
-    const assignedBy = req.user._id;
+    if (!isValidEffort(effortHours)) {
+      return res.status(400).json({ message: "effortHours must be a non-negative number" });
+    }
 
-    // Separate users into those with 2 or more high priority tasks and others
-    const usersWithHighPriorityTasks = [];
-    const usersWithoutHighPriorityTasks = [];
+    if (recurrence) {
+      if (!can(req.user, "series:create")) {
+        return res
+          .status(403)
+          .json({ message: "Access denied: missing permission series:create" });
+      }
+      const error = parseRule(recurrence.rule).error || validateScheduleOptions(recurrence);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+    }
 
-    for (const userId of assignedTo) {
-      const count = await Task.countDocuments({
-        assignedTo: userId,
-        priority: "High",
-        status: { $ne: "Completed" },
+    const checklist = buildChecklist(todoChecklist, [], req.user._id);
+    const invalidItems = findInvalidItemAssignees(checklist, assignedTo);
+    if (invalidItems.length > 0) {
+      return res.status(400).json({
+        message: "Checklist items can only be assigned to users on the task",
+        items: invalidItems,
       });
-      if (count >= 2) {
-        usersWithHighPriorityTasks.push(userId);
-      } else {
-        usersWithoutHighPriorityTasks.push(userId);
-      }
     }
 
+    const conflictCheck = await resolveConflicts(
+      { priority: priority || "Medium", dueDate, location, assignedTo },
+      req
+    );
+    if (conflictCheck.error) {
+      return res
+        .status(conflictCheck.status)
+        .json({ message: conflictCheck.error, conflicts: conflictCheck.conflicts });
+    }
+    const { override } = conflictCheck;
+
+    const assignedBy = req.user._id;
+
+    // users over their workload capacity get an assignment request instead
+    const {
+      available: usersWithoutHighPriorityTasks,
+      overloaded: usersWithHighPriorityTasks,
+      details: workload,
+    } = await evaluateAssignment(assignedTo, { priority, effortHours, dueDate });
+
     // Create the task assigned directly to users without high priority overload
     const task = await Task.create({
       title,
       description,
       priority,
       dueDate,
+      effortHours: effortHours ?? null,
       assignedTo: usersWithoutHighPriorityTasks,
       assignedBy,
       location,
       createdBy: req.user._id,
-      todoChecklist,
+      todoChecklist: checklist,
+      progress: computeProgress({ todoChecklist: checklist }).overall,
       attachments,
+      // diisi oleh createTaskFromTemplate, bukan dari body request
+      template: req.templateSource?.template || null,
+      templateVersion: req.templateSource?.version || null,
+      conflictOverrides: override ? [override] : [],
+    });
+
+    await recordAudit(req, {
+      action: "task.create",
+      entityType: "Task",
+      after: task,
     });
+    await recordTaskActivity(req, { task, type: "created" });
+    if (override) {
+      await recordConflictOverride(task, override, req);
+    }
+
+    let series = null;
+    if (recurrence) {
+      ({ series } = await createSeriesFromTask(task, recurrence, req.user));
+    }
 
     // For users with high priority tasks, create assignment requests
     if (usersWithHighPriorityTasks.length > 0) {
-      const taskAssignmentController = require("./taskAssignmentController");
-      for (const userId of usersWithHighPriorityTasks) {
-        await taskAssignmentController.createTaskAssignmentRequest(
-          {
-            body: { taskId: task._id, assignedToUserId: userId },
-            user: req.user,
-          },
-          {
-            status: () => ({ json: () => {} }),
-          }
-        );
-      }
+      await requestAssignments(task, usersWithHighPriorityTasks, req.user);
     }
 
     res.status(201).json({
       message: "Task created successfully",
       task,
+      series,
       assignmentRequestsCreated: usersWithHighPriorityTasks.length > 0,
+      workload,
     });
   } catch (error) {
     res.status(500).json({ message: "Server error", error: error.message });
@@ -333,37 +485,41 @@ const updateTask = async (req, res) => {
     if (!task) {
       return res.status(404).json({ message: "Task not found" });
     }
+    const before = toSnapshot(task);
 
     // Validate assigned users exist if provided
     if (req.body.assignedTo) {
-      if (!Array.isArray(req.body.assignedTo)) {
-        return res
-          .status(400)
-          .json({ message: "assignedTo must be an array of user IDs" });
+      // changing assignees needs task:reassign (admins: only tasks they assigned)
+      if (!can(req.user, "task:reassign", task)) {
+        return res.status(403).json({
+          message: "Access denied: you didn't create this task",
+        });
       }
 
-      // Check if all assigned users exist
-      const usersExist = await User.find({ _id: { $in: req.body.assignedTo } });
-      if (usersExist.length !== req.body.assignedTo.length) {
-        // Filter out invalid userIds (null, undefined, non-string/object)
-        const validUserIds = req.body.assignedTo.filter(
-          (id) =>
-            id !== null &&
-            id !== undefined &&
-            (typeof id === "string" || typeof id === "object")
-        );
+      const assigneeCheck = await validateAssignees(req.user, req.body.assignedTo);
+      if (assigneeCheck) {
+        const { error, status, ...details } = assigneeCheck;
+        return res.status(status).json({ message: error, ...details });
+      }
+    }
 
-        const missingUsers = validUserIds.filter(
-          (userId) =>
-            !usersExist.some(
-              (user) => user._id.toString() === userId.toString()
-            )
-        );
-        return res.status(404).json({
-          message: "One or more assigned users not found",
-          missingUsers,
+    if (!isValidEffort(req.body.effortHours)) {
+      return res.status(400).json({ message: "effortHours must be a non-negative number" });
+    }
+
+    const assignees = req.body.assignedTo || task.assignedTo;
+    let checklist = task.todoChecklist;
+    if (req.body.todoChecklist) {
+      checklist = buildChecklist(req.body.todoChecklist, task.todoChecklist, req.user._id);
+      const invalidItems = findInvalidItemAssignees(checklist, assignees);
+      if (invalidItems.length > 0) {
+        return res.status(400).json({
+          message: "Checklist items can only be assigned to users on the task",
+          items: invalidItems,
         });
       }
+    } else {
+      unassignRemovedUsers(checklist, assignees);
     }
 
     // Update task fields
@@ -371,9 +527,12 @@ const updateTask = async (req, res) => {
     task.description = req.body.description || task.description;
     task.priority = req.body.priority || task.priority;
     task.dueDate = req.body.dueDate || task.dueDate;
-    task.todoChecklist = req.body.todoChecklist || task.todoChecklist;
+    if (req.body.effortHours !== undefined) {
+      task.effortHours = req.body.effortHours;
+    }
+    task.todoChecklist = checklist;
+    task.progress = computeProgress(task).overall;
     task.attachments = req.body.attachments || task.attachments;
-    task.assignedTo = req.body.assignedTo || task.assignedTo;
 
     // Update location if provided and valid
     if (req.body.location && typeof req.body.location === "object") {
@@ -385,13 +544,72 @@ const updateTask = async (req, res) => {
       };
     }
 
+    // only re-check what the edit touched: a new date or priority affects every
+    // assignee, otherwise just the newly added ones
+    const after = toSnapshot(task);
+    const changed = (field) =>
+      JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null);
+    const scheduleChanged = changed("dueDate") || changed("priority");
+    const assigneeChange = await planAssigneeChange(task, assignees, req);
+    const conflictCheck = await resolveConflicts(
+      {
+        _id: task._id,
+        priority: task.priority,
+        dueDate: task.dueDate,
+        location: scheduleChanged || changed("location") ? task.location : null,
+        assignedTo: scheduleChanged ? assignees : assigneeChange.added,
+      },
+      req
+    );
+    if (conflictCheck.error) {
+      return res
+        .status(conflictCheck.status)
+        .json({ message: conflictCheck.error, conflicts: conflictCheck.conflicts });
+    }
+    const { override } = conflictCheck;
+    if (override) {
+      task.conflictOverrides.push(override);
+    }
+    task.assignedTo = assigneeChange.assignedTo;
+
     const updatedTask = await task.save();
-    res.json({ message: "Task updated successfully", updatedTask });
+    await recordAudit(req, {
+      action: "task.update",
+      entityType: "Task",
+      before,
+      after: updatedTask,
+    });
+    await recordTaskActivity(req, { task: updatedTask, type: "updated", before });
+    if (override) {
+      await recordConflictOverride(updatedTask, override, req);
+    }
+    const withdrawnRequests = await assigneeChange.finish();
+    res.json({
+      message: "Task updated successfully",
+      updatedTask,
+      assignmentRequested: assigneeChange.assignmentRequested,
+      withdrawnRequests,
+    });
   } catch (error) {
     res.status(500).json({ message: "Server error", error: error.message });
   }
 };
 
+// soft delete: task masuk trash, dihapus permanen oleh purge setelah masa retensi
+const moveTaskToTrash = async (task, req) => {
+  const before = toSnapshot(task);
+  task.deletedAt = new Date();
+  task.deletedBy = req.user._id;
+  await task.save();
+  await recordAudit(req, {
+    action: "task.delete",
+    entityType: "Task",
+    before,
+    after: task,
+  });
+  await recordTaskActivity(req, { task, type: "deleted" });
+};
+
 const deleteTask = async (req, res) => {
   try {
     const task = await Task.findById(req.params.id);
@@ -400,13 +618,70 @@ const deleteTask = async (req, res) => {
       return res.status(404).json({ message: "Task not found" });
     }
 
-    await task.deleteOne();
-    res.json({ message: "Task deleted successfully" });
+    await moveTaskToTrash(task, req);
+    res.json({ message: "Task moved to trash" });
   } catch (error) {
     res.status(500).json({ message: "Server error", error: error.message });
   }
 };
 
+// Status change through the state machine, shared by the single and bulk routes.
+// Returns {} on success or { error, status, ...details }.
+const applyStatusChange = async (task, nextStatus, req) => {
+  if (nextStatus !== task.status && STARTED_STATUSES.includes(nextStatus)) {
+    const blockers = await getOpenBlockers(task);
+    if (blockers.length > 0) {
+      return { error: "Task is blocked by tasks that are not completed yet", status: 400, blockers };
+    }
+  }
+
+  if (nextStatus === "Completed" && task.status !== "Completed") {
+    const foreignItems = findOpenForeignItems(task.todoChecklist, req.user._id, task.assignedTo);
+    if (foreignItems.length > 0) {
+      return {
+        error: "Checklist items assigned to other users are not completed yet",
+        status: 400,
+        items: foreignItems,
+      };
+    }
+  }
+
+  const before = toSnapshot(task);
+  const transition = transitionTask(task, nextStatus, req.user);
+  if (transition.error) {
+    return {
+      error: transition.error,
+      status: transition.status,
+      allowedStatuses: getAllowedTransitions(before.status, req.user),
+    };
+  }
+
+  if (task.status === "Completed") {
+    task.todoChecklist.forEach((item) => {
+      if (!item.completed) {
+        item.completed = true;
+        item.completedBy = req.user._id;
+        item.completedAt = new Date();
+      }
+    });
+    task.progress = 100;
+  }
+
+  await task.save();
+  await recordAudit(req, {
+    action: "task.status.update",
+    entityType: "Task",
+    before,
+    after: task,
+  });
+  await recordTaskActivity(req, { task, type: "status_changed", before });
+  // task berulang: buat instance berikutnya saat task selesai
+  if (task.status === "Completed" && before.status !== "Completed") {
+    await handleTaskCompleted(task, req);
+  }
+  return {};
+};
+
 const updateTaskStatus = async (req, res) => {
   try {
     const task = await Task.findById(req.params.id);
@@ -414,24 +689,14 @@ const updateTaskStatus = async (req, res) => {
       return res.status(404).json({ message: "Task not found" });
     }
 
-    const isAssigned = task.assignedTo.some(
-      (userId) => userId.toString() === req.user._id.toString()
+    const { error, status, ...details } = await applyStatusChange(
+      task,
+      req.body.status || task.status,
+      req
     );
-
-    if (!isAssigned && req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json({ message: "You are not authorized to update this task" });
+    if (error) {
+      return res.status(status).json({ message: error, ...details });
     }
-
-    task.status = req.body.status || task.status;
-
-    if (task.status === "Completed") {
-      task.todoChecklist.forEach((item) => (item.completed = true));
-      task.progress = 100;
-    }
-
-    await task.save();
     res.json({ message: "Task status updated successfully", task });
   } catch (error) {
     res.status(500).json({ message: "Server error", error: error.message });
@@ -446,12 +711,6 @@ const updateTaskChecklist = async (req, res) => {
     if (!task) {
       return res.status(404).json({ message: "Task not found" });
     }
-    if (!task.assignedTo.includes(req.user._id) && req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json({ message: "You are not authorized to update this task" });
-    }
-
     // Prevent updating checklist if task is rejected
     if (task.status === "Rejected") {
       return res
@@ -459,26 +718,72 @@ const updateTaskChecklist = async (req, res) => {
         .json({ message: "Cannot update checklist of a rejected task" });
     }
 
-    task.todoChecklist = todoChecklist;
+    if (!Array.isArray(todoChecklist)) {
+      return res.status(400).json({ message: "todoChecklist must be an array" });
+    }
+
+    const checklist = buildChecklist(todoChecklist, task.todoChecklist, req.user._id);
+    // assignee hanya boleh mencentang item miliknya sendiri atau item bersama
+    const foreignItems = findForeignItemChanges(
+      checklist,
+      task.todoChecklist,
+      req.user._id,
+      task.assignedTo
+    );
+    if (foreignItems.length > 0) {
+      return res.status(403).json({
+        message: "You can only update checklist items assigned to you",
+        items: foreignItems,
+      });
+    }
+    const invalidItems = findInvalidItemAssignees(checklist, task.assignedTo);
+    if (invalidItems.length > 0) {
+      return res.status(400).json({
+        message: "Checklist items can only be assigned to users on the task",
+        items: invalidItems,
+      });
+    }
+
+    const before = toSnapshot(task);
+    task.todoChecklist = checklist;
 
     // auto update progress
-    const completedCount = todoChecklist.filter(
-      (item) => item.completed
-    ).length;
-    const totalItems = todoChecklist.length;
-    task.progress =
-      totalItems > 0 ? Math.round((completedCount / totalItems) * 100) : 0;
-
-    // auto mark task as completed if all items are completed
+    task.progress = computeProgress(task).overall;
+
+    // auto mark task as completed if all items are completed; an untouched
+    // checklist leaves a not-yet-started task (e.g. Pending Approval) as is
+    let nextStatus = task.status;
     if (task.progress === 100) {
-      task.status = "Completed";
+      nextStatus = "Completed";
     } else if (task.progress > 0) {
-      task.status = "In Progress";
-    } else {
-      task.status = "Pending";
+      nextStatus = "In Progress";
+    } else if (STARTED_STATUSES.includes(task.status)) {
+      nextStatus = "Pending";
+    }
+
+    if (nextStatus !== before.status && STARTED_STATUSES.includes(nextStatus)) {
+      const blockers = await getOpenBlockers(task);
+      if (blockers.length > 0) {
+        return blockedResponse(res, blockers);
+      }
+    }
+
+    const transition = transitionTask(task, nextStatus, req.user);
+    if (transition.error) {
+      return res.status(transition.status).json({ message: transition.error });
     }
 
     await task.save();
+    await recordAudit(req, {
+      action: "task.checklist.update",
+      entityType: "Task",
+      before,
+      after: task,
+    });
+    await recordTaskActivity(req, { task, type: "checklist_updated", before });
+    if (task.status === "Completed" && before.status !== "Completed") {
+      await handleTaskCompleted(task, req);
+    }
     const updatedTask = await Task.findById(req.params.id).populate(
       "assignedTo",
       "name email profileImageUrl"
@@ -487,6 +792,298 @@ const updateTaskChecklist = async (req, res) => {
     res.json({
       message: "Task checklist updated successfully",
       task: updatedTask,
+      checklistProgress: computeProgress(updatedTask),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+const BULK_LIMIT = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PRIORITIES = ["Low", "Medium", "High"];
+
+// operasi bulk -> permission yang sama dengan route single task nya
+const BULK_OPERATIONS = {
+  status: ["task:status:update"],
+  priority: ["task:update"],
+  shiftDueDate: ["task:update"],
+  addAssignees: ["task:update", "task:reassign"],
+  removeAssignees: ["task:update", "task:reassign"],
+  delete: ["task:delete"],
+};
+
+const validateBulkValue = (operation, value) => {
+  switch (operation) {
+    case "status":
+      return TASK_STATUSES.includes(value) ? null : `value must be one of: ${TASK_STATUSES.join(", ")}`;
+    case "priority":
+      return PRIORITIES.includes(value) ? null : `value must be one of: ${PRIORITIES.join(", ")}`;
+    case "shiftDueDate":
+      return Number.isInteger(value) && value !== 0
+        ? null
+        : "value must be a non-zero whole number of days";
+    case "addAssignees":
+    case "removeAssignees":
+      return Array.isArray(value) && value.length > 0 && value.every((id) => mongoose.isValidObjectId(id))
+        ? null
+        : "value must be a non-empty array of user IDs";
+    default:
+      return null;
+  }
+};
+
+// update field biasa (priority, due date, assignee) dengan audit + timeline
+const saveTaskUpdate = async (task, req, mutate) => {
+  const before = toSnapshot(task);
+  mutate(task);
+  await task.save();
+  await recordAudit(req, {
+    action: "task.update",
+    entityType: "Task",
+    before,
+    after: task,
+  });
+  await recordTaskActivity(req, { task, type: "updated", before });
+};
+
+// conflict check untuk operasi bulk: hanya bagian jadwal yang berubah yang dicek
+const checkBulkConflicts = async (task, changes, req) =>
+  resolveConflicts(
+    {
+      _id: task._id,
+      priority: task.priority,
+      dueDate: task.dueDate,
+      location: null,
+      assignedTo: task.assignedTo,
+      ...changes,
+    },
+    req
+  );
+
+// Apply one bulk operation to one task. Returns extra result fields, or
+// { error, status, ...details } when the task was left unchanged.
+const applyBulkOperation = async (task, operation, value, req) => {
+  switch (operation) {
+    case "status":
+      return applyStatusChange(task, value, req);
+    case "priority": {
+      const { error, status, conflicts, override } = await checkBulkConflicts(
+        task,
+        { priority: value },
+        req
+      );
+      if (error) return { error, status, conflicts };
+      await saveTaskUpdate(task, req, (doc) => {
+        doc.priority = value;
+        if (override) doc.conflictOverrides.push(override);
+      });
+      if (override) await recordConflictOverride(task, override, req);
+      return {};
+    }
+    case "shiftDueDate": {
+      const dueDate = new Date(task.dueDate.getTime() + value * DAY_MS);
+      const { error, status, conflicts, override } = await checkBulkConflicts(
+        task,
+        { dueDate, location: task.location },
+        req
+      );
+      if (error) return { error, status, conflicts };
+      await saveTaskUpdate(task, req, (doc) => {
+        doc.dueDate = dueDate;
+        if (override) doc.conflictOverrides.push(override);
+      });
+      if (override) await recordConflictOverride(task, override, req);
+      return { dueDate: task.dueDate };
+    }
+    case "addAssignees": {
+      const change = await planAssigneeChange(task, [...task.assignedTo, ...value], req);
+      const { error, status, conflicts, override } = await checkBulkConflicts(
+        task,
+        { assignedTo: change.added },
+        req
+      );
+      if (error) return { error, status, conflicts };
+      if (change.assigned.length > 0 || override) {
+        await saveTaskUpdate(task, req, (doc) => {
+          doc.assignedTo = change.assignedTo;
+          if (override) doc.conflictOverrides.push(override);
+        });
+      }
+      if (override) await recordConflictOverride(task, override, req);
+      await change.finish();
+      return { assigned: change.assigned, assignmentRequested: change.assignmentRequested };
+    }
+    case "removeAssignees": {
+      const removed = value.map(String);
+      const change = await planAssigneeChange(
+        task,
+        task.assignedTo.filter((id) => !removed.includes(id.toString())),
+        req
+      );
+      await saveTaskUpdate(task, req, (doc) => {
+        doc.assignedTo = change.assignedTo;
+        unassignRemovedUsers(doc.todoChecklist, doc.assignedTo);
+      });
+      // users with only a pending request aren't on assignedTo, withdraw theirs too
+      const withdrawnRequests = await withdrawRequestsForUsers(
+        task._id,
+        value,
+        req,
+        "Removed from task"
+      );
+      return { withdrawnRequests };
+    }
+    case "delete":
+      await moveTaskToTrash(task, req);
+      return {};
+    default:
+      return { error: "Unsupported operation", status: 400 };
+  }
+};
+
+// @desc    Apply one operation to many tasks, selected by ids or by the task list filters
+// @route   POST /api/tasks/bulk
+//          { ids: [taskId] | filter: { status, priority, assignedTo, assignedBy, dueFrom, dueTo, overdue, search, team },
+//            operation: "status" | "priority" | "shiftDueDate" | "addAssignees" | "removeAssignees" | "delete",
+//            value: status | priority | days | [userId],
+//            conflictOverride?: { justification } }
+// @access  Private (every task is checked against its single-task route permission)
+const bulkUpdateTasks = async (req, res) => {
+  try {
+    const { ids, filter, operation, value } = req.body;
+
+    const permissions = BULK_OPERATIONS[operation];
+    if (!permissions) {
+      return res.status(400).json({
+        message: `operation must be one of: ${Object.keys(BULK_OPERATIONS).join(", ")}`,
+      });
+    }
+    const valueError = validateBulkValue(operation, value);
+    if (valueError) {
+      return res.status(400).json({ message: valueError });
+    }
+    // satu override berlaku untuk konflik jadwal di semua task yang dipilih
+    if (req.body.conflictOverride) {
+      const overrideError = validateOverride(req.body.conflictOverride);
+      if (overrideError) {
+        return res.status(400).json({ message: overrideError });
+      }
+    }
+
+    if (operation === "addAssignees") {
+      const assigneeCheck = await validateAssignees(req.user, value);
+      if (assigneeCheck) {
+        const { error, status, ...details } = assigneeCheck;
+        return res.status(status).json({ message: error, ...details });
+      }
+    }
+
+    // resolve target tasks
+    let tasks;
+    let missingIds = [];
+    if (Array.isArray(ids)) {
+      const uniqueIds = [...new Set(ids.map(String))];
+      if (uniqueIds.length === 0 || uniqueIds.length > BULK_LIMIT) {
+        return res
+          .status(400)
+          .json({ message: `ids must contain between 1 and ${BULK_LIMIT} task IDs` });
+      }
+      if (!uniqueIds.every((id) => mongoose.isValidObjectId(id))) {
+        return res.status(400).json({ message: "ids must be valid task IDs" });
+      }
+      tasks = await Task.find({ _id: { $in: uniqueIds } });
+      const found = tasks.map((task) => task._id.toString());
+      missingIds = uniqueIds.filter((id) => !found.includes(id));
+    } else if (filter && typeof filter === "object") {
+      const built = await buildTaskListFilter(req.user, filter);
+      if (built.error) {
+        return res.status(built.status).json({ message: built.error });
+      }
+      const query =
+        filter.status && filter.status !== "All"
+          ? built.withStatus(filter.status)
+          : built.baseFilter;
+      tasks = await Task.find(query).limit(BULK_LIMIT + 1);
+      if (tasks.length > BULK_LIMIT) {
+        return res.status(400).json({
+          message: `Filter matches more than ${BULK_LIMIT} tasks, please narrow it down`,
+        });
+      }
+    } else {
+      return res.status(400).json({ message: "Provide either ids or filter" });
+    }
+
+    // scope "team" di permission butuh team scope user yang sudah di-cache
+    await getTeamScope(req.user);
+
+    const results = missingIds.map((id) => ({
+      taskId: id,
+      success: false,
+      message: "Task not found",
+    }));
+    for (const task of tasks) {
+      const denied = permissions.find((permission) => !can(req.user, permission, task));
+      if (denied) {
+        results.push({
+          taskId: task._id,
+          success: false,
+          message: `Access denied: missing permission ${denied}`,
+        });
+        continue;
+      }
+      try {
+        const { error, status, ...details } = await applyBulkOperation(task, operation, value, req);
+        results.push(
+          error
+            ? { taskId: task._id, success: false, message: error, ...details }
+            : { taskId: task._id, success: true, ...details }
+        );
+      } catch (error) {
+        results.push({ taskId: task._id, success: false, message: error.message });
+      }
+    }
+
+    const succeeded = results.filter((result) => result.success).length;
+    res.json({
+      message: `${succeeded} of ${results.length} task(s) updated`,
+      operation,
+      succeeded,
+      failed: results.length - succeeded,
+      results,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Task activity timeline (newest first)
+// @route   GET /api/tasks/:id/activity?page=&limit=
+// @access  Private (same visibility as getTaskById)
+const getTaskActivity = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const filter = { task: req.params.id };
+
+    const [activities, total] = await Promise.all([
+      TaskActivity.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("actor", "name email profileImageUrl"),
+      TaskActivity.countDocuments(filter),
+    ]);
+
+    const userNames = await resolveUserNames(activities);
+    const timeline = activities.map((activity) => ({
+      ...activity.toObject(),
+      messages: describeActivity(activity, userNames),
+    }));
+
+    res.json({
+      activities: timeline,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
     });
   } catch (error) {
     res.status(500).json({ message: "Server error", error: error.message });
@@ -495,18 +1092,27 @@ const updateTaskChecklist = async (req, res) => {
 
 const getDashboardData = async (req, res) => {
   try {
+    // admin dibatasi ke team nya, ?team= mempersempit ke satu team
+    const visibility = await getTaskVisibilityFilter(req.user, req.query.team);
+    if (visibility.error) {
+      return res.status(visibility.status).json({ message: visibility.error });
+    }
+    const match = visibility.filter;
+
     // fetch statistics
-    const totalTasks = await Task.countDocuments();
-    const pendingTasks = await Task.countDocuments({ status: "Pending" });
-    const completedTasks = await Task.countDocuments({ status: "Completed" });
+    const totalTasks = await Task.countDocuments(match);
+    const pendingTasks = await Task.countDocuments({ ...match, status: "Pending" });
+    const completedTasks = await Task.countDocuments({ ...match, status: "Completed" });
     const overdueTasks = await Task.countDocuments({
+      ...match,
       status: { $ne: "Completed" },
       dueDate: { $lt: new Date() },
     });
 
-    // ensure all posible users status are included
-    const taskStatuses = ["Pending", "In Progress", "Completed"];
+    // ensure all posible users status are included (same statuses as the task list)
+    const taskStatuses = TASK_STATUSES;
     const taskDistributionRaw = await Task.aggregate([
+      { $match: match },
       {
         $group: {
           _id: "$status",
@@ -526,6 +1132,7 @@ const getDashboardData = async (req, res) => {
     // ensure all priorities are included
     const taskPriorities = ["Low", "Medium", "High"];
     const taskPriorityLevelsRaw = await Task.aggregate([
+      { $match: match },
       {
         $group: {
           _id: "$priority",
@@ -540,7 +1147,7 @@ const getDashboardData = async (req, res) => {
     }, {});
 
     //  fetch recent 10 taks
-    const recentTasks = await Task.find()
+    const recentTasks = await Task.find(match)
       .sort({ createdAt: -1 })
       .limit(10)
       .select("title status priority dueDate createdAt");
@@ -581,8 +1188,8 @@ const getUserDashboardData = async (req, res) => {
       dueDate: { $lt: new Date() },
     });
 
-    // task distribution by status
-    const taskStatuses = ["Pending", "In Progress", "Completed"];
+    // task distribution by status (same statuses as the task list)
+    const taskStatuses = TASK_STATUSES;
     const taskDistributionRaw = await Task.aggregate([
       { $match: { assignedTo: userId } },
       {
@@ -662,6 +1269,8 @@ module.exports = {
   deleteTask,
   updateTaskStatus,
   updateTaskChecklist,
+  getTaskActivity,
+  bulkUpdateTasks,
   getDashboardData,
   getUserDashboardData,
 };
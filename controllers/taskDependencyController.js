@@ -0,0 +1,170 @@
+const mongoose = require("mongoose");
+const Task = require("../models/Task");
+const { recordAudit, toSnapshot } = require("../services/auditService");
+const { recordTaskActivity } = require("../services/taskActivityService");
+const {
+  wouldCreateCycle,
+  getDependencyGraph,
+} = require("../services/dependencyService");
+const { getTaskVisibilityFilter } = require("../services/teamService");
+
+// @desc    List the blockers of a task and the tasks it blocks
+// @route   GET /api/tasks/:id/dependencies
+// @access  Private (task:read; linked tasks the caller can't see come back as { _id, hidden: true })
+const getTaskDependencies = async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id).populate(
+      "blockedBy",
+      "title status priority dueDate"
+    );
+    if (!task) {
+      return res.status(404).json({ message: "Task not found" });
+    }
+
+    const blocks = await Task.find({ blockedBy: task._id }).select(
+      "title status priority dueDate"
+    );
+
+    // linked tasks outside the caller's visibility are only shown as hidden
+    const linked = [...task.blockedBy, ...blocks];
+    const { filter } = await getTaskVisibilityFilter(req.user);
+    const visible = await Task.find({
+      $and: [{ _id: { $in: linked.map((linkedTask) => linkedTask._id) } }, filter],
+    }).select("_id");
+    const visibleIds = new Set(visible.map((visibleTask) => visibleTask._id.toString()));
+    const redact = (linkedTask) =>
+      visibleIds.has(linkedTask._id.toString()) ? linkedTask : { _id: linkedTask._id, hidden: true };
+
+    res.json({ blockedBy: task.blockedBy.map(redact), blocks: blocks.map(redact) });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Mark a task as blocked by another task
+// @route   POST /api/tasks/:id/dependencies  { blockedBy: taskId }
+// @access  Private (task:update)
+const addTaskDependency = async (req, res) => {
+  try {
+    const { blockedBy } = req.body;
+    if (!blockedBy || !mongoose.isValidObjectId(blockedBy)) {
+      return res.status(400).json({ message: "A valid blockedBy task id is required" });
+    }
+
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({ message: "Task not found" });
+    }
+    // blocker harus task yang boleh dilihat user
+    const { filter } = await getTaskVisibilityFilter(req.user);
+    const blocker = await Task.findOne({ $and: [{ _id: blockedBy }, filter] });
+    if (!blocker) {
+      return res.status(404).json({ message: "Blocking task not found" });
+    }
+    if (task.blockedBy.some((id) => id.equals(blocker._id))) {
+      return res.status(400).json({ message: "Dependency already exists" });
+    }
+    if (await wouldCreateCycle(task._id, blocker._id)) {
+      return res
+        .status(400)
+        .json({ message: "Dependency would create a cycle between tasks" });
+    }
+
+    const before = toSnapshot(task);
+    task.blockedBy.push(blocker._id);
+    await task.save();
+
+    await recordAudit(req, {
+      action: "task.dependency.add",
+      entityType: "Task",
+      before,
+      after: task,
+    });
+    await recordTaskActivity(req, {
+      task,
+      type: "dependency_added",
+      details: { blockerId: blocker._id, blockerTitle: blocker.title },
+    });
+
+    res.status(201).json({ message: "Dependency added", task });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Remove a blocker from a task
+// @route   DELETE /api/tasks/:id/dependencies/:blockerId
+// @access  Private (task:update)
+const removeTaskDependency = async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({ message: "Task not found" });
+    }
+    if (!task.blockedBy.some((id) => id.toString() === req.params.blockerId)) {
+      return res.status(404).json({ message: "Dependency not found" });
+    }
+
+    const before = toSnapshot(task);
+    task.blockedBy = task.blockedBy.filter(
+      (id) => id.toString() !== req.params.blockerId
+    );
+    await task.save();
+
+    const blocker = await Task.findById(req.params.blockerId).select("title");
+    await recordAudit(req, {
+      action: "task.dependency.remove",
+      entityType: "Task",
+      before,
+      after: task,
+    });
+    await recordTaskActivity(req, {
+      task,
+      type: "dependency_removed",
+      details: { blockerId: req.params.blockerId, blockerTitle: blocker?.title || null },
+    });
+
+    res.json({ message: "Dependency removed", task });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Dependency graph (nodes + blocker -> blocked edges) for a set of tasks
+// @route   GET /api/tasks/dependency-graph?ids=id1,id2
+// @access  Private (task:read, each root task must be visible to the caller;
+//          linked tasks the caller can't see are returned as { _id, hidden: true })
+const getDependencyGraphForTasks = async (req, res) => {
+  try {
+    // ?ids=a,b dan ?ids=a&ids=b sama-sama diterima
+    const ids = []
+      .concat(req.query.ids || [])
+      .join(",")
+      .split(",")
+      .map((id) => id.trim())
+      .filter(Boolean);
+    if (ids.length === 0 || !ids.every((id) => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ message: "ids must be a comma separated list of task ids" });
+    }
+
+    const { filter } = await getTaskVisibilityFilter(req.user);
+    const visibleCount = await Task.countDocuments({
+      $and: [{ _id: { $in: ids } }, filter],
+    });
+    if (visibleCount !== new Set(ids).size) {
+      return res.status(404).json({ message: "One or more tasks not found" });
+    }
+
+    const graph = await getDependencyGraph(ids, filter);
+    res.json(graph);
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+module.exports = {
+  getTaskDependencies,
+  addTaskDependency,
+  removeTaskDependency,
+  getDependencyGraphForTasks,
+};
@@ -0,0 +1,262 @@
+const Task = require("../models/Task");
+const TaskSeries = require("../models/TaskSeries");
+const { can } = require("../services/permissionService");
+const { recordAudit, toSnapshot } = require("../services/auditService");
+const {
+  parseRule,
+  validateScheduleOptions,
+  nextOccurrence,
+  createSeriesFromTask,
+} = require("../services/recurrenceService");
+const { validateAssignees } = require("../services/teamService");
+const { findInvalidItemAssignees } = require("../services/checklistService");
+
+const TEMPLATE_FIELDS = [
+  "title",
+  "description",
+  "priority",
+  "assignedTo",
+  "location",
+  "attachments",
+  "todoChecklist",
+];
+
+const PRIORITIES = ["Low", "Medium", "High"];
+
+const isStringList = (value) =>
+  Array.isArray(value) && value.every((item) => typeof item === "string");
+
+// Shape of the template fields in a series update; returns an error message or null.
+const validateTemplateFields = (body) => {
+  if (body.title !== undefined && (typeof body.title !== "string" || !body.title.trim())) {
+    return "title must be a non-empty string";
+  }
+  if (body.description !== undefined && typeof body.description !== "string") {
+    return "description must be a string";
+  }
+  if (body.priority !== undefined && !PRIORITIES.includes(body.priority)) {
+    return `priority must be one of: ${PRIORITIES.join(", ")}`;
+  }
+  if (
+    body.location !== undefined &&
+    (body.location === null || typeof body.location !== "object" || Array.isArray(body.location))
+  ) {
+    return "location must be an object";
+  }
+  if (body.attachments !== undefined && !isStringList(body.attachments)) {
+    return "attachments must be an array of URLs";
+  }
+  if (
+    body.todoChecklist !== undefined &&
+    !(
+      Array.isArray(body.todoChecklist) &&
+      body.todoChecklist.every(
+        (item) => typeof item === "string" || typeof item?.text === "string"
+      )
+    )
+  ) {
+    return "todoChecklist must be an array of strings or { text } items";
+  }
+  return null;
+};
+
+// @desc    Make an existing task recurring (it becomes occurrence #1)
+// @route   POST /api/tasks/:id/recurrence  { rule, generateOn, leadTimeDays }
+// @access  Private (series:manage)
+const makeTaskRecurring = async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({ message: "Task not found" });
+    }
+    if (task.series) {
+      return res.status(400).json({ message: "Task already belongs to a series" });
+    }
+
+    const { series, error } = await createSeriesFromTask(task, req.body, req.user);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    await recordAudit(req, {
+      action: "series.create",
+      entityType: "TaskSeries",
+      after: series,
+    });
+
+    res.status(201).json({ message: "Task is now recurring", series });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    List recurring task series (admins see the series they created)
+// @route   GET /api/task-series?active=true|false
+// @access  Private (series:read)
+const getSeries = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active !== undefined) {
+      filter.active = req.query.active === "true";
+    }
+    if (!can(req.user, "series:read")) {
+      filter.createdBy = req.user._id;
+    }
+
+    const series = await TaskSeries.find(filter)
+      .sort({ createdAt: -1 })
+      .populate("assignedTo", "name email profileImageUrl")
+      .populate("createdBy", "name email");
+    res.json({ series });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Get a series with its generated tasks
+// @route   GET /api/task-series/:id
+// @access  Private (series:read)
+const getSeriesById = async (req, res) => {
+  try {
+    const series = await TaskSeries.findById(req.params.id)
+      .populate("assignedTo", "name email profileImageUrl")
+      .populate("createdBy", "name email");
+    if (!series) {
+      return res.status(404).json({ message: "Series not found" });
+    }
+    const tasks = await Task.find({ series: series._id })
+      .sort({ occurrence: 1 })
+      .select("title status dueDate occurrence progress");
+    res.json({ ...series.toObject(), tasks });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Edit the rule or template of a series (applies to future instances)
+// @route   PUT /api/task-series/:id
+// @access  Private (series:manage)
+const updateSeries = async (req, res) => {
+  try {
+    const series = await TaskSeries.findById(req.params.id);
+    if (!series) {
+      return res.status(404).json({ message: "Series not found" });
+    }
+    if (!series.active) {
+      return res.status(400).json({ message: "Series has been stopped" });
+    }
+    const bodyError = validateScheduleOptions(req.body) || validateTemplateFields(req.body);
+    if (bodyError) {
+      return res.status(400).json({ message: bodyError });
+    }
+    // generated instances copy these assignees, so check them like createTask does
+    if (req.body.assignedTo !== undefined) {
+      const assigneeCheck = await validateAssignees(req.user, req.body.assignedTo);
+      if (assigneeCheck) {
+        const { error, status, ...details } = assigneeCheck;
+        return res.status(status).json({ message: error, ...details });
+      }
+    }
+    // { text, assignedTo } items keep their assignee for future instances
+    const checklist =
+      req.body.todoChecklist === undefined
+        ? null
+        : req.body.todoChecklist.map((item) =>
+            typeof item === "string"
+              ? { text: item, assignedTo: null }
+              : { text: item.text, assignedTo: item.assignedTo || null }
+          );
+    if (checklist) {
+      const invalidItems = findInvalidItemAssignees(
+        checklist,
+        req.body.assignedTo ?? series.assignedTo
+      );
+      if (invalidItems.length > 0) {
+        return res.status(400).json({
+          message: "Checklist items can only be assigned to users on the series",
+          items: invalidItems,
+        });
+      }
+    }
+    const before = toSnapshot(series);
+
+    if (req.body.rule !== undefined) {
+      const { rule, error } = parseRule(req.body.rule);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      series.rule = rule;
+    }
+    if (req.body.generateOn !== undefined) series.generateOn = req.body.generateOn;
+    if (req.body.leadTimeDays !== undefined) series.leadTimeDays = req.body.leadTimeDays;
+    TEMPLATE_FIELDS.forEach((field) => {
+      if (req.body[field] === undefined || field === "todoChecklist") return;
+      series[field] = req.body[field];
+    });
+    if (checklist) {
+      series.todoChecklist = checklist.map((item) => item.text);
+      series.todoChecklistAssignees = checklist.map((item) => item.assignedTo);
+    }
+
+    // jadwal berikutnya dihitung ulang dari instance terakhir
+    series.nextDueDate = nextOccurrence(
+      series,
+      series.lastDueDate || new Date(series.startDate.getTime() - 1),
+      series.occurrenceCount
+    );
+    if (!series.nextDueDate) {
+      series.active = false;
+      series.stoppedAt = new Date();
+    }
+
+    await series.save();
+    await recordAudit(req, {
+      action: "series.update",
+      entityType: "TaskSeries",
+      before,
+      after: series,
+    });
+
+    res.json({ message: "Series updated successfully", series });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Stop a series; existing tasks are kept
+// @route   POST /api/task-series/:id/stop
+// @access  Private (series:manage)
+const stopSeries = async (req, res) => {
+  try {
+    const series = await TaskSeries.findById(req.params.id);
+    if (!series) {
+      return res.status(404).json({ message: "Series not found" });
+    }
+    if (!series.active) {
+      return res.status(400).json({ message: "Series already stopped" });
+    }
+    const before = toSnapshot(series);
+
+    series.active = false;
+    series.stoppedAt = new Date();
+    series.nextDueDate = null;
+    await series.save();
+    await recordAudit(req, {
+      action: "series.stop",
+      entityType: "TaskSeries",
+      before,
+      after: series,
+    });
+
+    res.json({ message: "Series stopped successfully", series });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+module.exports = {
+  makeTaskRecurring,
+  getSeries,
+  getSeriesById,
+  updateSeries,
+  stopSeries,
+};
@@ -0,0 +1,276 @@
+const TaskTemplate = require("../models/TaskTemplate");
+const TaskTemplateVersion = require("../models/TaskTemplateVersion");
+const { recordAudit, toSnapshot } = require("../services/auditService");
+const { parseTemplateContent, renderTemplate } = require("../services/templateService");
+const { createTask } = require("./taskControllers");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CONTENT_FIELDS = [
+  "title",
+  "description",
+  "priority",
+  "todoChecklist",
+  "defaultDueInDays",
+  "variables",
+];
+
+const saveVersionSnapshot = (template, userId) =>
+  TaskTemplateVersion.create({
+    template: template._id,
+    version: template.version,
+    name: template.name,
+    ...CONTENT_FIELDS.reduce((acc, field) => ({ ...acc, [field]: template[field] }), {}),
+    createdBy: userId,
+  });
+
+// @desc    List task templates
+// @route   GET /api/task-templates?includeArchived=true
+// @access  Private (template:read)
+const getTemplates = async (req, res) => {
+  try {
+    const filter = req.query.includeArchived === "true" ? {} : { archivedAt: null };
+    const templates = await TaskTemplate.find(filter)
+      .sort({ name: 1 })
+      .populate("createdBy", "name email");
+    res.json({ templates });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Get a template (current version)
+// @route   GET /api/task-templates/:id
+// @access  Private (template:read)
+const getTemplateById = async (req, res) => {
+  try {
+    const template = await TaskTemplate.findById(req.params.id).populate([
+      { path: "createdBy", select: "name email" },
+      { path: "updatedBy", select: "name email" },
+    ]);
+    if (!template) {
+      return res.status(404).json({ message: "Template not found" });
+    }
+    res.json(template);
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Create a template (version 1)
+// @route   POST /api/task-templates
+//          { name, title, description, priority, todoChecklist, defaultDueInDays }
+// @access  Private (template:create)
+const createTemplate = async (req, res) => {
+  try {
+    if (!req.body.name) {
+      return res.status(400).json({ message: "name is required" });
+    }
+    const { content, error } = parseTemplateContent(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const template = await TaskTemplate.create({
+      name: req.body.name,
+      ...content,
+      version: 1,
+      createdBy: req.user._id,
+      updatedBy: req.user._id,
+    });
+    await saveVersionSnapshot(template, req.user._id);
+    await recordAudit(req, {
+      action: "template.create",
+      entityType: "TaskTemplate",
+      after: template,
+    });
+
+    res.status(201).json({ message: "Template created successfully", template });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Update a template; every change publishes a new version
+// @route   PUT /api/task-templates/:id
+// @access  Private (template:manage)
+const updateTemplate = async (req, res) => {
+  try {
+    const template = await TaskTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({ message: "Template not found" });
+    }
+    if (template.archivedAt) {
+      return res.status(400).json({ message: "Archived templates cannot be edited" });
+    }
+
+    const { content, error } = parseTemplateContent(req.body, template.toObject());
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const before = toSnapshot(template);
+    if (req.body.name) {
+      template.name = req.body.name;
+    }
+    Object.assign(template, content);
+
+    const after = toSnapshot(template);
+    const changed = ["name", ...CONTENT_FIELDS].some(
+      (field) => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null)
+    );
+    if (!changed) {
+      return res.json({ message: "No changes", template });
+    }
+
+    template.version += 1;
+    template.updatedBy = req.user._id;
+    await template.save();
+    await saveVersionSnapshot(template, req.user._id);
+    await recordAudit(req, {
+      action: "template.update",
+      entityType: "TaskTemplate",
+      before,
+      after: template,
+    });
+
+    res.json({ message: "Template updated successfully", template });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Archive a template (tasks created from it keep their reference)
+// @route   DELETE /api/task-templates/:id
+// @access  Private (template:manage)
+const archiveTemplate = async (req, res) => {
+  try {
+    const template = await TaskTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({ message: "Template not found" });
+    }
+    if (template.archivedAt) {
+      return res.status(400).json({ message: "Template is already archived" });
+    }
+
+    const before = toSnapshot(template);
+    template.archivedAt = new Date();
+    await template.save();
+    await recordAudit(req, {
+      action: "template.archive",
+      entityType: "TaskTemplate",
+      before,
+      after: template,
+    });
+
+    res.json({ message: "Template archived successfully" });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Version history of a template (newest first)
+// @route   GET /api/task-templates/:id/versions
+// @access  Private (template:read)
+const getTemplateVersions = async (req, res) => {
+  try {
+    const versions = await TaskTemplateVersion.find({ template: req.params.id })
+      .sort({ version: -1 })
+      .populate("createdBy", "name email");
+    res.json({ versions });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    One version of a template
+// @route   GET /api/task-templates/:id/versions/:version
+// @access  Private (template:read)
+const getTemplateVersion = async (req, res) => {
+  try {
+    const versionNumber = Number(req.params.version);
+    if (!Number.isInteger(versionNumber)) {
+      return res.status(400).json({ message: "version must be a number" });
+    }
+    const version = await TaskTemplateVersion.findOne({
+      template: req.params.id,
+      version: versionNumber,
+    }).populate("createdBy", "name email");
+    if (!version) {
+      return res.status(404).json({ message: "Template version not found" });
+    }
+    res.json(version);
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Create a task from a template. Runs through createTask, so team scope,
+//          workload and recurrence rules apply as usual.
+// @route   POST /api/task-templates/:id/tasks
+//          { variables: { site: "..." }, dueDate, assignedTo, location, attachments, recurrence, version, conflictOverride }
+// @access  Private (task:create + template:read)
+const createTaskFromTemplate = async (req, res) => {
+  try {
+    const template = await TaskTemplate.findById(req.params.id);
+    if (!template || template.archivedAt) {
+      return res.status(404).json({ message: "Template not found" });
+    }
+
+    // default ke versi terbaru, versi lama bisa dipilih eksplisit
+    let source = template;
+    if (req.body.version !== undefined && Number(req.body.version) !== template.version) {
+      if (!Number.isInteger(Number(req.body.version))) {
+        return res.status(400).json({ message: "version must be a number" });
+      }
+      source = await TaskTemplateVersion.findOne({
+        template: template._id,
+        version: Number(req.body.version),
+      });
+      if (!source) {
+        return res.status(404).json({ message: "Template version not found" });
+      }
+    }
+
+    const { fields, missing } = renderTemplate(source, req.body.variables || {});
+    if (missing) {
+      return res.status(400).json({
+        message: "Missing values for template variables",
+        missing,
+      });
+    }
+
+    let dueDate = req.body.dueDate;
+    if (!dueDate && source.defaultDueInDays !== null && source.defaultDueInDays !== undefined) {
+      dueDate = new Date(Date.now() + source.defaultDueInDays * DAY_MS);
+    }
+    if (!dueDate) {
+      return res.status(400).json({ message: "dueDate is required for this template" });
+    }
+
+    const { assignedTo, location, attachments, recurrence, conflictOverride } = req.body;
+    req.body = {
+      ...fields,
+      dueDate,
+      assignedTo,
+      location,
+      attachments,
+      recurrence,
+      conflictOverride,
+    };
+    req.templateSource = { template: template._id, version: source.version };
+    return createTask(req, res);
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+module.exports = {
+  getTemplates,
+  getTemplateById,
+  createTemplate,
+  updateTemplate,
+  archiveTemplate,
+  getTemplateVersions,
+  getTemplateVersion,
+  createTaskFromTemplate,
+};
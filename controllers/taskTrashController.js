@@ -0,0 +1,113 @@
+const Task = require("../models/Task");
+const { recordAudit, toSnapshot } = require("../services/auditService");
+const { recordTaskActivity } = require("../services/taskActivityService");
+const { getTaskVisibilityFilter } = require("../services/teamService");
+const { getSetting } = require("../services/settingsService");
+const { purgeTask, purgeExpiredTasks } = require("../services/trashService");
+const { resumeRequestsForTask } = require("../services/assignmentRequestService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// @desc    List trashed tasks (admins see their team's trash)
+// @route   GET /api/tasks/trash?page=&limit=
+// @access  Private (trash:read)
+const getTrashedTasks = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const { filter } = await getTaskVisibilityFilter(req.user);
+    const trashFilter = { ...filter, deletedAt: { $ne: null } };
+
+    const [tasks, total, { days }] = await Promise.all([
+      Task.find(trashFilter)
+        .sort({ deletedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate([
+          { path: "assignedTo", select: "name email profileImageUrl" },
+          { path: "deletedBy", select: "name email" },
+        ]),
+      Task.countDocuments(trashFilter),
+      getSetting("taskRetention"),
+    ]);
+
+    res.json({
+      tasks: tasks.map((task) => ({
+        ...task.toObject(),
+        purgeAt: new Date(task.deletedAt.getTime() + days * DAY_MS),
+      })),
+      retentionDays: days,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Restore a task from the trash; its pending assignment requests resume
+// @route   POST /api/tasks/trash/:id/restore
+// @access  Private (task:restore)
+const restoreTask = async (req, res) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    if (!task) {
+      return res.status(404).json({ message: "Task not found in trash" });
+    }
+
+    const before = toSnapshot(task);
+    task.deletedAt = null;
+    task.deletedBy = null;
+    await task.save();
+
+    await recordAudit(req, {
+      action: "task.restore",
+      entityType: "Task",
+      before,
+      after: task,
+    });
+    await recordTaskActivity(req, { task, type: "restored" });
+    // assignment request yang ditahan selama di trash dapat deadline baru
+    await resumeRequestsForTask(task._id);
+
+    res.json({ message: "Task restored successfully", task });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Permanently delete one trashed task (cascades to requests, comments, files)
+// @route   DELETE /api/tasks/trash/:id
+// @access  Private (trash:purge)
+const purgeTrashedTask = async (req, res) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    if (!task) {
+      return res.status(404).json({ message: "Task not found in trash" });
+    }
+
+    const result = await purgeTask(task, req);
+    res.json({ message: "Task permanently deleted", ...result });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Run the retention purge now instead of waiting for the scheduler
+// @route   POST /api/tasks/trash/purge
+// @access  Private (trash:purge)
+const purgeExpiredTrash = async (req, res) => {
+  try {
+    const results = await purgeExpiredTasks(req);
+    res.json({ message: `${results.length} task(s) permanently deleted`, results });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+module.exports = {
+  getTrashedTasks,
+  restoreTask,
+  purgeTrashedTask,
+  purgeExpiredTrash,
+};
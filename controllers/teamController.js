@@ -0,0 +1,219 @@
+const Team = require("../models/Team");
+const User = require("../models/User");
+const { recordAudit, toSnapshot } = require("../services/auditService");
+const {
+  getDescendantTeamIds,
+  getManagedTeamIds,
+  getTeamScope,
+} = require("../services/teamService");
+
+const TEAM_POPULATE = [
+  { path: "manager", select: "name email profileImageUrl" },
+  { path: "members", select: "name email profileImageUrl position" },
+  { path: "parent", select: "name type" },
+];
+
+// Validate manager / members / parent from the request body.
+// Returns an error message or null.
+const validateTeamInput = async ({ manager, members, parent }, teamId) => {
+  if (manager) {
+    const managerUser = await User.findById(manager);
+    if (!managerUser) return "Manager not found";
+    if (!["admin", "superadmin"].includes(managerUser.role)) {
+      return "Manager must be an admin";
+    }
+  }
+  if (members !== undefined) {
+    if (!Array.isArray(members)) return "members must be an array of user IDs";
+    const count = await User.countDocuments({ _id: { $in: members } });
+    if (count !== new Set(members.map(String)).size) {
+      return "One or more members not found";
+    }
+  }
+  if (parent) {
+    const parentTeam = await Team.findById(parent);
+    if (!parentTeam) return "Parent team not found";
+    // parent tidak boleh team itu sendiri atau turunannya (mencegah siklus)
+    if (teamId) {
+      const descendants = await getDescendantTeamIds([teamId]);
+      if (descendants.includes(parent.toString())) {
+        return "A team cannot be placed under itself or its sub-teams";
+      }
+    }
+  }
+  return null;
+};
+
+// @desc    List teams (team-scoped admins only see the teams they manage)
+// @route   GET /api/teams
+// @access  Private (team:read)
+const getTeams = async (req, res) => {
+  try {
+    const filter = {};
+    if (await getTeamScope(req.user)) {
+      filter._id = { $in: await getManagedTeamIds(req.user._id) };
+    }
+    const teams = await Team.find(filter).sort({ name: 1 }).populate(TEAM_POPULATE);
+    res.json({ teams });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Get team by id, including its sub-teams
+// @route   GET /api/teams/:id
+// @access  Private (team:read)
+const getTeamById = async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id).populate(TEAM_POPULATE);
+    if (!team) {
+      return res.status(404).json({ message: "Team not found" });
+    }
+    if (await getTeamScope(req.user)) {
+      const managed = await getManagedTeamIds(req.user._id);
+      if (!managed.includes(team._id.toString())) {
+        return res.status(403).json({ message: "Access denied: not your team" });
+      }
+    }
+    const subTeams = await Team.find({ parent: team._id }).select("name type manager");
+    res.json({ ...team.toObject(), subTeams });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Create a department or team
+// @route   POST /api/teams
+// @access  Private/superadmin
+const createTeam = async (req, res) => {
+  try {
+    const { name, type, description, parent, manager, members = [] } = req.body;
+    if (!name) {
+      return res.status(400).json({ message: "Name is required" });
+    }
+
+    const validationError = await validateTeamInput({ manager, members, parent });
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const team = await Team.create({
+      name,
+      type,
+      description,
+      parent: parent || null,
+      manager: manager || null,
+      members,
+    });
+    await recordAudit(req, { action: "team.create", entityType: "Team", after: team });
+
+    res.status(201).json({ message: "Team created successfully", team });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Update team (name, manager, parent, members)
+// @route   PUT /api/teams/:id
+// @access  Private/superadmin
+const updateTeam = async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id);
+    if (!team) {
+      return res.status(404).json({ message: "Team not found" });
+    }
+    const before = toSnapshot(team);
+
+    const validationError = await validateTeamInput(req.body, team._id);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    ["name", "type", "description", "manager", "members"].forEach((field) => {
+      if (req.body[field] !== undefined) team[field] = req.body[field];
+    });
+    if (req.body.parent !== undefined) team.parent = req.body.parent || null;
+
+    await team.save();
+    await recordAudit(req, { action: "team.update", entityType: "Team", before, after: team });
+
+    res.json({ message: "Team updated successfully", team });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Add or remove members
+// @route   PUT /api/teams/:id/members  { add: [userId], remove: [userId] }
+// @access  Private/superadmin
+const updateTeamMembers = async (req, res) => {
+  try {
+    const { add = [], remove = [] } = req.body;
+    if (!Array.isArray(add) || !Array.isArray(remove)) {
+      return res
+        .status(400)
+        .json({ message: "add and remove must be arrays of user IDs" });
+    }
+
+    const team = await Team.findById(req.params.id);
+    if (!team) {
+      return res.status(404).json({ message: "Team not found" });
+    }
+    const before = toSnapshot(team);
+
+    const validationError = await validateTeamInput({ members: add });
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const removeIds = remove.map(String);
+    const memberIds = team.members
+      .map(String)
+      .filter((id) => !removeIds.includes(id));
+    add.map(String).forEach((id) => {
+      if (!memberIds.includes(id)) memberIds.push(id);
+    });
+    team.members = memberIds;
+
+    await team.save();
+    await recordAudit(req, {
+      action: "team.members.update",
+      entityType: "Team",
+      before,
+      after: team,
+    });
+
+    res.json({ message: "Team members updated successfully", team });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Delete team (sub-teams are moved to the deleted team's parent)
+// @route   DELETE /api/teams/:id
+// @access  Private/superadmin
+const deleteTeam = async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id);
+    if (!team) {
+      return res.status(404).json({ message: "Team not found" });
+    }
+
+    await Team.updateMany({ parent: team._id }, { parent: team.parent });
+    await team.deleteOne();
+    await recordAudit(req, { action: "team.delete", entityType: "Team", before: team });
+
+    res.json({ message: "Team deleted successfully" });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+module.exports = {
+  getTeams,
+  getTeamById,
+  createTeam,
+  updateTeam,
+  updateTeamMembers,
+  deleteTeam,
+};
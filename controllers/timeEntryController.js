@@ -0,0 +1,328 @@
+const mongoose = require("mongoose");
+const TimeEntry = require("../models/TimeEntry");
+const Task = require("../models/Task");
+const User = require("../models/User");
+const { recordAudit, toSnapshot } = require("../services/auditService");
+const { can, getScopes } = require("../services/permissionService");
+const { getTeamScope, isInTeamScope } = require("../services/teamService");
+const {
+  toMinutes,
+  findOverlappingEntry,
+  validateRange,
+  getWeekBounds,
+  buildTimesheet,
+  getEntriesForWeek,
+} = require("../services/timeTrackingService");
+
+const overlapResponse = (res, entry) =>
+  res.status(400).json({
+    message: "Time entry overlaps with another entry",
+    conflictingEntry: entry,
+  });
+
+// timesheet user lain hanya untuk timesheet:read:any atau anggota team yang dikelola
+const canReadTimesheet = async (user, targetId) => {
+  if (can(user, "timesheet:read")) return true;
+  const scopes = getScopes(user, "timesheet:read");
+  if (scopes.includes("self") && targetId.toString() === user._id.toString()) return true;
+  if (scopes.includes("team")) {
+    const scope = await getTeamScope(user);
+    return isInTeamScope(scope, targetId) || targetId.toString() === user._id.toString();
+  }
+  return false;
+};
+
+// @desc    Time entries on a task with totals per user
+// @route   GET /api/tasks/:id/time-entries
+// @access  Private (task:read)
+const getTaskTimeEntries = async (req, res) => {
+  try {
+    const entries = await TimeEntry.find({ task: req.params.id })
+      .sort({ startedAt: -1 })
+      .populate("user", "name email profileImageUrl");
+
+    const totals = new Map();
+    entries.forEach((entry) => {
+      // user yang sudah dihapus: populate menghasilkan null
+      const userId = entry.user?._id.toString();
+      const minutes =
+        entry.durationMinutes ?? toMinutes(Date.now() - entry.startedAt.getTime());
+      const current = totals.get(userId) || { user: entry.user, minutes: 0 };
+      current.minutes += minutes;
+      totals.set(userId, current);
+    });
+
+    const byUser = [...totals.values()];
+    res.json({
+      entries,
+      totals: byUser,
+      totalMinutes: byUser.reduce((sum, item) => sum + item.minutes, 0),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Start a timer on a task (one running timer per user)
+// @route   POST /api/tasks/:id/time-entries/start  { note }
+// @access  Private (time:track + task:read)
+const startTimer = async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({ message: "Task not found" });
+    }
+    if (["Completed", "Rejected"].includes(task.status)) {
+      return res
+        .status(400)
+        .json({ message: `Cannot start a timer on a ${task.status.toLowerCase()} task` });
+    }
+
+    const running = await TimeEntry.findOne({ user: req.user._id, endedAt: null }).populate(
+      "task",
+      "title"
+    );
+    if (running) {
+      return res.status(400).json({
+        message: "You already have a running timer, stop it first",
+        runningEntry: running,
+      });
+    }
+
+    const now = new Date();
+    const overlap = await findOverlappingEntry(req.user._id, now, new Date(now.getTime() + 1));
+    if (overlap) {
+      return overlapResponse(res, overlap);
+    }
+
+    let entry;
+    try {
+      entry = await TimeEntry.create({
+        task: task._id,
+        user: req.user._id,
+        startedAt: now,
+        source: "timer",
+        note: req.body.note || "",
+      });
+    } catch (error) {
+      // unique index on running timers: another start won the race
+      if (error.code === 11000) {
+        return res
+          .status(400)
+          .json({ message: "You already have a running timer, stop it first" });
+      }
+      throw error;
+    }
+    await recordAudit(req, {
+      action: "timeEntry.start",
+      entityType: "TimeEntry",
+      after: entry,
+    });
+
+    res.status(201).json({ message: "Timer started", entry });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Stop the current user's running timer on a task
+// @route   POST /api/tasks/:id/time-entries/stop  { note }
+// @access  Private (time:track + task:read)
+const stopTimer = async (req, res) => {
+  try {
+    const entry = await TimeEntry.findOne({
+      task: req.params.id,
+      user: req.user._id,
+      endedAt: null,
+    });
+    if (!entry) {
+      return res.status(404).json({ message: "No running timer on this task" });
+    }
+
+    const before = toSnapshot(entry);
+    entry.endedAt = new Date();
+    entry.durationMinutes = toMinutes(entry.endedAt - entry.startedAt);
+    if (req.body.note !== undefined) {
+      entry.note = req.body.note;
+    }
+    await entry.save();
+    await recordAudit(req, {
+      action: "timeEntry.stop",
+      entityType: "TimeEntry",
+      before,
+      after: entry,
+    });
+
+    res.json({ message: "Timer stopped", entry });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Log time manually on a task
+// @route   POST /api/tasks/:id/time-entries  { startedAt, endedAt, note }
+// @access  Private (time:track + task:read)
+const createManualEntry = async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({ message: "Task not found" });
+    }
+
+    const startedAt = new Date(req.body.startedAt);
+    const endedAt = new Date(req.body.endedAt);
+    const rangeError = validateRange(startedAt, endedAt);
+    if (rangeError) {
+      return res.status(400).json({ message: rangeError });
+    }
+    const overlap = await findOverlappingEntry(req.user._id, startedAt, endedAt);
+    if (overlap) {
+      return overlapResponse(res, overlap);
+    }
+
+    const entry = await TimeEntry.create({
+      task: task._id,
+      user: req.user._id,
+      startedAt,
+      endedAt,
+      durationMinutes: toMinutes(endedAt - startedAt),
+      source: "manual",
+      note: req.body.note || "",
+    });
+    await recordAudit(req, {
+      action: "timeEntry.create",
+      entityType: "TimeEntry",
+      after: entry,
+    });
+
+    res.status(201).json({ message: "Time entry added", entry });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Edit a finished time entry
+// @route   PUT /api/time-entries/:id  { startedAt, endedAt, note }
+// @access  Private (time:manage, owner or any)
+const updateTimeEntry = async (req, res) => {
+  try {
+    const entry = await TimeEntry.findById(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ message: "Time entry not found" });
+    }
+    if (!entry.endedAt) {
+      return res.status(400).json({ message: "Stop the timer before editing this entry" });
+    }
+
+    const startedAt = req.body.startedAt ? new Date(req.body.startedAt) : entry.startedAt;
+    const endedAt = req.body.endedAt ? new Date(req.body.endedAt) : entry.endedAt;
+    const rangeError = validateRange(startedAt, endedAt);
+    if (rangeError) {
+      return res.status(400).json({ message: rangeError });
+    }
+    const overlap = await findOverlappingEntry(entry.user, startedAt, endedAt, entry._id);
+    if (overlap) {
+      return overlapResponse(res, overlap);
+    }
+
+    const before = toSnapshot(entry);
+    entry.startedAt = startedAt;
+    entry.endedAt = endedAt;
+    entry.durationMinutes = toMinutes(endedAt - startedAt);
+    if (req.body.note !== undefined) {
+      entry.note = req.body.note;
+    }
+    await entry.save();
+    await recordAudit(req, {
+      action: "timeEntry.update",
+      entityType: "TimeEntry",
+      before,
+      after: entry,
+    });
+
+    res.json({ message: "Time entry updated", entry });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Delete a time entry
+// @route   DELETE /api/time-entries/:id
+// @access  Private (time:manage, owner or any)
+const deleteTimeEntry = async (req, res) => {
+  try {
+    const entry = await TimeEntry.findById(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ message: "Time entry not found" });
+    }
+
+    await entry.deleteOne();
+    await recordAudit(req, {
+      action: "timeEntry.delete",
+      entityType: "TimeEntry",
+      before: entry,
+    });
+
+    res.json({ message: "Time entry deleted" });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Current user's running timer, if any
+// @route   GET /api/time-entries/running
+// @access  Private (time:track)
+const getRunningTimer = async (req, res) => {
+  try {
+    const entry = await TimeEntry.findOne({ user: req.user._id, endedAt: null }).populate(
+      "task",
+      "title status"
+    );
+    res.json({ entry });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Weekly timesheet (Mon..Sun, minutes per task per day)
+// @route   GET /api/time-entries/timesheet?user=&week=YYYY-MM-DD
+// @access  Private (timesheet:read; own sheet, team members or anyone)
+const getTimesheet = async (req, res) => {
+  try {
+    const targetId = req.query.user || req.user._id.toString();
+    if (!mongoose.isValidObjectId(targetId)) {
+      return res.status(400).json({ message: "Invalid user id" });
+    }
+    if (!(await canReadTimesheet(req.user, targetId))) {
+      return res
+        .status(403)
+        .json({ message: "Access denied: missing permission timesheet:read" });
+    }
+
+    const week = getWeekBounds(req.query.week);
+    if (!week) {
+      return res.status(400).json({ message: "week must be a valid date" });
+    }
+
+    const user = await User.findById(targetId).select("name email");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const entries = await getEntriesForWeek({ user: user._id }, week);
+    res.json({ user, ...buildTimesheet(entries, week.start) });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+module.exports = {
+  getTaskTimeEntries,
+  startTimer,
+  stopTimer,
+  createManualEntry,
+  updateTimeEntry,
+  deleteTimeEntry,
+  getRunningTimer,
+  getTimesheet,
+};
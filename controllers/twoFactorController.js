@@ -0,0 +1,291 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const User = require("../models/User");
+const totp = require("../services/totpService");
+const loginLimiter = require("../services/loginLimiter");
+const { logSecurityEvent } = require("../services/securityLogService");
+const { isTwoFactorRequired } = require("../services/settingsService");
+const { recordAudit } = require("../services/auditService");
+const {
+  hashToken,
+  issueTokens,
+  verifyTwoFactorToken,
+} = require("../services/tokenService");
+
+const RECOVERY_CODE_COUNT = 10;
+const TWO_FACTOR_FIELDS =
+  "+twoFactorSecret +twoFactorPendingSecret +twoFactorLastUsedStep +twoFactorRecoveryCodes";
+
+// recovery code berbentuk xxxxx-xxxxx, disimpan di database dalam bentuk hash
+const generateRecoveryCodes = () => {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString("hex");
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return codes;
+};
+
+const normalizeRecoveryCode = (code) =>
+  String(code || "").toLowerCase().replace(/\s/g, "");
+
+// Verify a TOTP code against the user's active secret and record the used step.
+// Returns true when the code is valid; the caller saves the user.
+const consumeTotpCode = (user, code) => {
+  const step = totp.verifyCode(user.twoFactorSecret, code, user.twoFactorLastUsedStep);
+  if (step === null) {
+    return false;
+  }
+  user.twoFactorLastUsedStep = step;
+  return true;
+};
+
+const consumeRecoveryCode = (user, recoveryCode) => {
+  const hashed = hashToken(normalizeRecoveryCode(recoveryCode));
+  const index = user.twoFactorRecoveryCodes.indexOf(hashed);
+  if (index === -1) {
+    return false;
+  }
+  user.twoFactorRecoveryCodes.splice(index, 1);
+  return true;
+};
+
+// @desc Start 2FA enrollment, returns secret and otpauth URI for the QR code
+// @route POST /api/auth/2fa/setup
+// @access Private required jwt
+
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    if (user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    res.json({
+      secret,
+      otpauthUri: totp.buildOtpauthUri(secret, user.email),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc Confirm 2FA enrollment with the first code from the authenticator app
+// @route POST /api/auth/2fa/verify
+// @access Private required jwt
+
+const verifyTwoFactorSetup = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    if (!user.twoFactorPendingSecret) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor setup has not been started" });
+    }
+
+    const step = totp.verifyCode(user.twoFactorPendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({ message: "Invalid verification code" });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = null;
+    user.twoFactorLastUsedStep = step;
+    user.twoFactorEnabled = true;
+    user.twoFactorRecoveryCodes = recoveryCodes.map((c) => hashToken(c));
+    await user.save();
+    await recordAudit(req, {
+      action: "user.twoFactor.enable",
+      entityType: "User",
+      entityId: user._id,
+    });
+
+    // recovery code hanya ditampilkan sekali ini
+    res.json({
+      message: "Two-factor authentication enabled",
+      recoveryCodes,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc Disable 2FA (requires password and a current code)
+// @route POST /api/auth/2fa/disable
+// @access Private required jwt
+
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    if (!user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is not enabled" });
+    }
+    if (await isTwoFactorRequired(user.role)) {
+      return res.status(403).json({
+        message: "Two-factor authentication is mandatory for your role",
+      });
+    }
+
+    const isMatch = await bcrypt.compare(password || "", user.password);
+    if (!isMatch || !consumeTotpCode(user, code)) {
+      return res.status(401).json({ message: "Invalid password or code" });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = null;
+    user.twoFactorRecoveryCodes = [];
+    user.twoFactorLastUsedStep = -1;
+    await user.save();
+    await recordAudit(req, {
+      action: "user.twoFactor.disable",
+      entityType: "User",
+      entityId: user._id,
+    });
+
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc Replace all recovery codes (requires a current code)
+// @route POST /api/auth/2fa/recovery-codes
+// @access Private required jwt
+
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    if (!user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is not enabled" });
+    }
+    if (!consumeTotpCode(user, code)) {
+      return res.status(401).json({ message: "Invalid verification code" });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactorRecoveryCodes = recoveryCodes.map((c) => hashToken(c));
+    await user.save();
+    await recordAudit(req, {
+      action: "user.twoFactor.recoveryCodes.regenerate",
+      entityType: "User",
+      entityId: user._id,
+    });
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc Second login step: exchange the 2FA token and a code for session tokens
+// @route POST /api/auth/login/2fa
+// @access Public (requires twoFactorToken from POST /api/auth/login)
+
+const verifyLoginTwoFactor = async (req, res) => {
+  try {
+    const { twoFactorToken, code, recoveryCode } = req.body;
+
+    const userId = verifyTwoFactorToken(twoFactorToken);
+    if (!userId) {
+      return res
+        .status(401)
+        .json({ message: "Two-factor session is invalid or has expired" });
+    }
+
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.twoFactorEnabled) {
+      return res
+        .status(401)
+        .json({ message: "Two-factor session is invalid or has expired" });
+    }
+    if (user.status && user.status !== "active") {
+      return res.status(403).json({ message: `Account is ${user.status}` });
+    }
+
+    // percobaan kode 2FA ikut dihitung oleh limiter login
+    const attempt = { email: user.email, ip: req.ip };
+    const lockRemaining = await loginLimiter.getLockRemaining(attempt);
+    if (lockRemaining > 0) {
+      await logSecurityEvent(req, { event: "login_blocked", email: user.email, user: user._id });
+      const retryAfter = Math.ceil(lockRemaining / 1000);
+      res.setHeader("Retry-After", retryAfter);
+      return res.status(429).json({
+        message: "Too many failed login attempts, try again later",
+        retryAfter,
+      });
+    }
+
+    const verified = recoveryCode
+      ? consumeRecoveryCode(user, recoveryCode)
+      : consumeTotpCode(user, code);
+
+    if (!verified) {
+      const { accountLockedFor } = await loginLimiter.recordFailure(attempt);
+      await logSecurityEvent(req, {
+        event: "login_failed",
+        email: user.email,
+        user: user._id,
+        details: { step: "2fa" },
+      });
+      if (accountLockedFor > 0) {
+        await logSecurityEvent(req, {
+          event: "account_locked",
+          email: user.email,
+          user: user._id,
+          details: { lockedForSeconds: accountLockedFor / 1000 },
+        });
+      }
+      return res.status(401).json({ message: "Invalid verification code" });
+    }
+
+    await user.save();
+    await loginLimiter.recordSuccess(attempt);
+
+    res.json({
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      profileImageUrl: user.profileImageUrl,
+      role: user.role,
+      position: user.position,
+      recoveryCodesRemaining: user.twoFactorRecoveryCodes.length,
+      ...(await issueTokens(user, req)),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+module.exports = {
+  setupTwoFactor,
+  verifyTwoFactorSetup,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyLoginTwoFactor,
+};
@@ -0,0 +1,135 @@
+const mongoose = require("mongoose");
+const UserUnavailability = require("../models/UserUnavailability");
+const User = require("../models/User");
+const { recordAudit, toSnapshot } = require("../services/auditService");
+const { can } = require("../services/permissionService");
+
+const REASONS = UserUnavailability.schema.path("reason").enumValues;
+
+// tanggal (YYYY-MM-DD atau ISO) -> awal hari UTC
+const toDay = (value) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  date.setUTCHours(0, 0, 0, 0);
+  return date;
+};
+
+// @desc    List unavailability periods, optionally for one user and / or a date range
+// @route   GET /api/unavailability?user=&from=&to=
+// @access  Private (unavailability:read for other users, otherwise own periods only)
+const getUnavailability = async (req, res) => {
+  try {
+    const { user, from, to } = req.query;
+    const filter = {};
+
+    if (!can(req.user, "unavailability:read")) {
+      filter.user = req.user._id;
+    } else if (user) {
+      if (!mongoose.isValidObjectId(user)) {
+        return res.status(400).json({ message: "Invalid user ID" });
+      }
+      filter.user = user;
+    }
+
+    if (from) {
+      const fromDay = toDay(from);
+      if (!fromDay) return res.status(400).json({ message: "Invalid from date" });
+      filter.endDate = { $gte: fromDay };
+    }
+    if (to) {
+      const toDate = toDay(to);
+      if (!toDate) return res.status(400).json({ message: "Invalid to date" });
+      filter.startDate = { $lte: toDate };
+    }
+
+    const periods = await UserUnavailability.find(filter)
+      .sort({ startDate: 1 })
+      .populate("user", "name email profileImageUrl")
+      .populate("createdBy", "name");
+
+    res.json({ periods });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Record a period a user can't take tasks (leave, sick, training)
+// @route   POST /api/unavailability  { user?, startDate, endDate, reason, note }
+// @access  Private (unavailability:manage, own periods or any user)
+const createUnavailability = async (req, res) => {
+  try {
+    const { user, startDate, endDate, reason, note } = req.body;
+    const userId = user || req.user._id;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ message: "Invalid user ID" });
+    }
+    if (!can(req.user, "unavailability:manage", { user: userId })) {
+      return res
+        .status(403)
+        .json({ message: "Access denied: missing permission unavailability:manage" });
+    }
+
+    const start = toDay(startDate);
+    const end = toDay(endDate || startDate);
+    if (!start || !end) {
+      return res.status(400).json({ message: "startDate and endDate must be valid dates" });
+    }
+    if (end < start) {
+      return res.status(400).json({ message: "endDate must not be before startDate" });
+    }
+    if (reason && !REASONS.includes(reason)) {
+      return res.status(400).json({ message: `reason must be one of: ${REASONS.join(", ")}` });
+    }
+
+    const exists = await User.exists({ _id: userId });
+    if (!exists) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const period = await UserUnavailability.create({
+      user: userId,
+      startDate: start,
+      endDate: end,
+      reason,
+      note,
+      createdBy: req.user._id,
+    });
+
+    await recordAudit(req, {
+      action: "unavailability.create",
+      entityType: "UserUnavailability",
+      after: period,
+    });
+
+    res.status(201).json({ message: "Unavailability recorded", period });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Remove an unavailability period
+// @route   DELETE /api/unavailability/:id
+// @access  Private (unavailability:manage, own periods or any user)
+const deleteUnavailability = async (req, res) => {
+  try {
+    const period = await UserUnavailability.findById(req.params.id);
+    if (!period) {
+      return res.status(404).json({ message: "Unavailability period not found" });
+    }
+    const before = toSnapshot(period);
+
+    await period.deleteOne();
+    await recordAudit(req, {
+      action: "unavailability.delete",
+      entityType: "UserUnavailability",
+      before,
+    });
+
+    res.json({ message: "Unavailability removed" });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+module.exports = { getUnavailability, createUnavailability, deleteUnavailability };
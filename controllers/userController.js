@@ -1,14 +1,33 @@
 const User = require("../models/User");
 const Task = require("../models/Task");
+const TaskAssignmentRequest = require("../models/TaskAssignmentRequest");
+const loginLimiter = require("../services/loginLimiter");
+const { logSecurityEvent } = require("../services/securityLogService");
+const { revokeAllUserTokens } = require("../services/tokenService");
+const { recordAudit, toSnapshot } = require("../services/auditService");
+const { toObjectIds, resolveTeamFilter } = require("../services/teamService");
+
+const VALID_ROLES = ["superadmin", "admin", "hrd", "user"];
 
 // @desc    Get all users (for task assignment)
-// @route   GET /api/users
+// @route   GET /api/users?team=
 // @access  Private (authenticated users)
 const getUsers = async (req, res) => {
   try {
-    // Return all users except superadmin and admin
+    // admin yang dibatasi team hanya melihat anggota team nya
+    const { memberIds, error, status } = await resolveTeamFilter(
+      req.user,
+      req.query.team
+    );
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+
+    // Return all users except superadmin and admin, and skip suspended/deactivated accounts
     const users = await User.find({
       role: { $nin: ["superadmin", "admin"] },
+      status: { $nin: ["suspended", "deactivated"] },
+      ...(memberIds ? { _id: { $in: toObjectIds(memberIds) } } : {}),
     }).select("-password");
 
     // add task count to each user
@@ -68,8 +87,15 @@ const updateUserPosition = async (req, res) => {
     if (!user) {
       return res.status(404).json({ message: "User not found" });
     }
+    const before = toSnapshot(user);
     user.position = position;
     await user.save();
+    await recordAudit(req, {
+      action: "user.position.update",
+      entityType: "User",
+      before,
+      after: user,
+    });
     res.json({ message: "User position updated successfully", user });
   } catch (error) {
     res.status(500).json({ message: "Server error", error: error.message });
@@ -78,12 +104,9 @@ const updateUserPosition = async (req, res) => {
 
 // @desc    Update user profile photo (self)
 // @route   PUT /api/users/:id/profile-photo
-// @access  Private (user themselves)
+// @access  Private (user themselves, permission user:update)
 const updateUserProfilePhoto = async (req, res) => {
   try {
-    if (req.user._id.toString() !== req.params.id) {
-      return res.status(403).json({ message: "Unauthorized" });
-    }
     const { profileImageUrl } = req.body;
     if (!profileImageUrl) {
       return res.status(400).json({ message: "Profile image URL is required" });
@@ -92,17 +115,222 @@ const updateUserProfilePhoto = async (req, res) => {
     if (!user) {
       return res.status(404).json({ message: "User not found" });
     }
+    const before = toSnapshot(user);
     user.profileImageUrl = profileImageUrl;
     await user.save();
+    await recordAudit(req, {
+      action: "user.profilePhoto.update",
+      entityType: "User",
+      before,
+      after: user,
+    });
     res.json({ message: "Profile photo updated successfully", user });
   } catch (error) {
     res.status(500).json({ message: "Server error", error: error.message });
   }
 };
 
+// @desc    Unlock an account locked after failed login attempts
+// @route   POST /api/users/:id/unlock
+// @access  Private/admin, superadmin
+const unlockUserAccount = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    await loginLimiter.unlockAccount(user.email);
+    await recordAudit(req, {
+      action: "user.unlock",
+      entityType: "User",
+      entityId: user._id,
+    });
+    await logSecurityEvent(req, {
+      event: "account_unlocked",
+      email: user.email,
+      user: user._id,
+      actor: req.user._id,
+    });
+
+    res.json({ message: "User account unlocked successfully" });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// tugas yang belum selesai dan request assignment yang masih pending milik user,
+// dipakai untuk menyerahkan pekerjaan ke user lain saat offboarding
+const getOpenWork = async (userId) => {
+  const [openTasks, pendingAssignmentRequests] = await Promise.all([
+    Task.find({
+      assignedTo: userId,
+      status: { $nin: ["Completed", "Rejected"] },
+    })
+      .select("title status priority dueDate assignedBy")
+      .populate("assignedBy", "name email"),
+    TaskAssignmentRequest.find({
+      assignedToUserId: userId,
+      status: "Pending",
+    })
+      .populate("taskId", "title priority dueDate")
+      .populate("assignedByAdminId", "name email"),
+  ]);
+  return { openTasks, pendingAssignmentRequests };
+};
+
+// Load the target user for a superadmin lifecycle action.
+// Sends the error response itself and returns null when the action is not allowed.
+const findManagedUser = async (req, res) => {
+  if (req.user._id.toString() === req.params.id) {
+    res.status(400).json({ message: "You cannot change your own account" });
+    return null;
+  }
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    res.status(404).json({ message: "User not found" });
+    return null;
+  }
+  return user;
+};
+
+const setUserStatus = async (req, user, action, status, reason) => {
+  const before = toSnapshot(user);
+  user.status = status;
+  user.statusReason = reason || null;
+  user.statusChangedAt = new Date();
+  user.statusChangedBy = req.user._id;
+  // semua sesi aktif user dicabut
+  await revokeAllUserTokens(user);
+  await user.save();
+  await recordAudit(req, { action, entityType: "User", before, after: user });
+};
+
+const toUserSummary = (user) => ({
+  _id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  position: user.position,
+  status: user.status,
+  statusReason: user.statusReason,
+  statusChangedAt: user.statusChangedAt,
+});
+
+// @desc    Change user role (superadmin only)
+// @route   PUT /api/users/:id/role
+// @access  Private/superadmin
+const updateUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!VALID_ROLES.includes(role)) {
+      return res.status(400).json({ message: "Invalid role" });
+    }
+    const user = await findManagedUser(req, res);
+    if (!user) return;
+
+    const before = toSnapshot(user);
+    user.role = role;
+    // token lama membawa hak akses role sebelumnya
+    await revokeAllUserTokens(user);
+    await user.save();
+    await recordAudit(req, {
+      action: "user.role.update",
+      entityType: "User",
+      before,
+      after: user,
+    });
+
+    res.json({ message: "User role updated successfully", user: toUserSummary(user) });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Suspend a user account (superadmin only)
+// @route   PUT /api/users/:id/suspend
+// @access  Private/superadmin
+const suspendUser = async (req, res) => {
+  try {
+    const user = await findManagedUser(req, res);
+    if (!user) return;
+    if (user.status !== "active") {
+      return res.status(400).json({ message: `User is already ${user.status}` });
+    }
+
+    await setUserStatus(req, user, "user.suspend", "suspended", req.body.reason);
+    res.json({ message: "User suspended successfully", user: toUserSummary(user) });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Reactivate a suspended or deactivated account (superadmin only)
+// @route   PUT /api/users/:id/reactivate
+// @access  Private/superadmin
+const reactivateUser = async (req, res) => {
+  try {
+    const user = await findManagedUser(req, res);
+    if (!user) return;
+    if (user.status === "active") {
+      return res.status(400).json({ message: "User is already active" });
+    }
+
+    await setUserStatus(req, user, "user.reactivate", "active", null);
+    res.json({ message: "User reactivated successfully", user: toUserSummary(user) });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Deactivate (offboard) a user and report their open work (superadmin only)
+// @route   PUT /api/users/:id/deactivate
+// @access  Private/superadmin
+const deactivateUser = async (req, res) => {
+  try {
+    const user = await findManagedUser(req, res);
+    if (!user) return;
+    if (user.status === "deactivated") {
+      return res.status(400).json({ message: "User is already deactivated" });
+    }
+
+    await setUserStatus(req, user, "user.deactivate", "deactivated", req.body.reason);
+    const openWork = await getOpenWork(user._id);
+
+    res.json({
+      message: "User deactivated successfully",
+      user: toUserSummary(user),
+      ...openWork,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Open tasks and pending assignment requests of a user (superadmin only)
+// @route   GET /api/users/:id/open-work
+// @access  Private/superadmin
+const getUserOpenWork = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select("-password");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    res.json({ user: toUserSummary(user), ...(await getOpenWork(user._id)) });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
 module.exports = {
   getUsers,
   getUserById,
   updateUserPosition,
   updateUserProfilePhoto,
+  unlockUserAccount,
+  updateUserRole,
+  suspendUser,
+  reactivateUser,
+  deactivateUser,
+  getUserOpenWork,
 };
@@ -2,14 +2,25 @@ const express = require("express");
 const router = express.Router();
 const Task = require("../models/Task");
 const User = require("../models/User");
+const { toObjectIds, resolveTeamFilter } = require("../services/teamService");
 
 // @desc    Get users with their tasks grouped by status
-// @route   GET /api/users/tasks-grouped
+// @route   GET /api/tasks/users/tasks-grouped?team=
 // @access  Private (admin)
 const getUsersWithTasksGrouped = async (req, res) => {
   try {
-    // Fetch all users (or filter as needed)
-    const users = await User.find().select("name profileImageUrl email");
+    const { memberIds, error, status } = await resolveTeamFilter(
+      req.user,
+      req.query.team
+    );
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+
+    // Fetch all users, or only the team members for team-scoped admins
+    const users = await User.find(
+      memberIds ? { _id: { $in: toObjectIds(memberIds) } } : {}
+    ).select("name profileImageUrl email");
 
     // For each user, fetch tasks grouped by status and sorted by createdAt descending
     const usersWithTasks = await Promise.all(
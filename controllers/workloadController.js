@@ -0,0 +1,86 @@
+const User = require("../models/User");
+const { recordAudit, toSnapshot } = require("../services/auditService");
+const { toObjectIds, resolveTeamFilter } = require("../services/teamService");
+const { computeUserLoads, getWorkloadPolicy } = require("../services/workloadService");
+
+// @desc    Current workload of every active user (admins: their team members)
+// @route   GET /api/workload?team=
+// @access  Private (workload:check)
+const getWorkload = async (req, res) => {
+  try {
+    const { memberIds, error, status } = await resolveTeamFilter(req.user, req.query.team);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+
+    const users = await User.find({
+      status: "active",
+      role: { $nin: ["superadmin"] },
+      ...(memberIds ? { _id: { $in: toObjectIds(memberIds) } } : {}),
+    }).select("_id");
+
+    const policy = await getWorkloadPolicy();
+    const loads = await computeUserLoads(
+      users.map((user) => user._id),
+      { policy }
+    );
+
+    const workload = [...loads.values()]
+      .map((entry) => ({
+        user: {
+          _id: entry.user._id,
+          name: entry.user.name,
+          profileImageUrl: entry.user.profileImageUrl || null,
+        },
+        load: entry.load,
+        capacity: entry.capacity,
+        utilisation: entry.capacity > 0 ? Math.round((entry.load / entry.capacity) * 100) : null,
+        taskCount: entry.taskCount,
+        atCapacity: entry.load >= entry.capacity,
+      }))
+      .sort((a, b) => (b.utilisation ?? 0) - (a.utilisation ?? 0));
+
+    res.json({ policy, workload });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Set a user's workload capacity (null = policy default)
+// @route   PUT /api/workload/capacity/:userId  { capacity }
+// @access  Private/superadmin (workload:manage)
+const updateUserCapacity = async (req, res) => {
+  try {
+    const { capacity } = req.body;
+    if (capacity !== null && (typeof capacity !== "number" || capacity < 0)) {
+      return res
+        .status(400)
+        .json({ message: "capacity must be a non-negative number or null" });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const before = toSnapshot(user);
+    user.workloadCapacity = capacity;
+    await user.save();
+    await recordAudit(req, {
+      action: "user.capacity.update",
+      entityType: "User",
+      before,
+      after: user,
+    });
+
+    res.json({
+      message: "Workload capacity updated successfully",
+      userId: user._id,
+      workloadCapacity: user.workloadCapacity,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+module.exports = { getWorkload, updateUserCapacity };
@@ -1,14 +1,39 @@
 const jwt = require('jsonwebtoken');
 const user = require('../models/User');
+const { isTwoFactorRequired } = require('../services/settingsService');
 
-// middleware untuk melindungi route yang memerlukan autentikasi
-const protect = async (req, res, next) => {
+const authenticate = async (req, res, next, { enforceTwoFactor }) => {
     try {
         let token = req.headers.authorization;
         if (token && token.startsWith('Bearer')) {
             token = token.split(' ')[1];
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
+            // token khusus (mis. token langkah 2FA) tidak boleh dipakai sebagai access token
+            if (decoded.purpose) {
+                return res.status(401).json({ message: 'Not authorized, invalid token type' });
+            }
             req.user = await user.findById(decoded.id).select('-password');
+            if (!req.user) {
+                return res.status(401).json({ message: 'Not authorized, user not found' });
+            }
+            if (req.user.status && req.user.status !== 'active') {
+                return res.status(403).json({ message: `Account is ${req.user.status}` });
+            }
+            // token yang diterbitkan sebelum ganti password / logout semua device ditolak
+            if ((decoded.tv || 0) !== (req.user.tokenVersion || 0)) {
+                return res.status(401).json({ message: 'Not authorized, token revoked' });
+            }
+            // role yang diwajibkan 2FA harus mendaftarkan 2FA sebelum memakai route lain
+            if (
+                enforceTwoFactor &&
+                !req.user.twoFactorEnabled &&
+                (await isTwoFactorRequired(req.user.role))
+            ) {
+                return res.status(403).json({
+                    message: 'Two-factor authentication must be enabled for your role',
+                    code: 'TWO_FACTOR_SETUP_REQUIRED',
+                });
+            }
             next();
         } else {
             res.status(401).json({ message: 'Not authorized, no token' });
@@ -18,13 +43,13 @@ const protect = async (req, res, next) => {
     }
 };
 
-// middleware untuk memeriksa apakah pengguna adalah admin
-const adminOnly = (req, res, next) => {
-    if (req.user && req.user.role === 'admin') {
-        next();
-    } else {
-        res.status(403).json({ message: 'Not authorized as an admin' });
-    }
-}; 
+// middleware untuk melindungi route yang memerlukan autentikasi
+const protect = (req, res, next) =>
+    authenticate(req, res, next, { enforceTwoFactor: true });
+
+// sama seperti protect, tetapi tetap mengizinkan user yang wajib 2FA namun belum
+// mendaftar, supaya mereka bisa mengakses route pendaftaran 2FA
+const protectAllowTwoFactorSetup = (req, res, next) =>
+    authenticate(req, res, next, { enforceTwoFactor: false });
 
-module.exports = { protect, adminOnly };
\ No newline at end of file
+module.exports = { protect, protectAllowTwoFactorSetup };
@@ -0,0 +1,42 @@
+const { can, getScopes } = require("../services/permissionService");
+const { getTeamScope } = require("../services/teamService");
+
+// Middleware untuk memeriksa permission dari policy di config/permissions.js.
+//
+// `options.resource` (async (req) => document) is only called when the role holds
+// a scoped permission (e.g. task:update:own); the loaded document is then checked
+// against the scope's ownership condition and exposed as req.resource.
+const authorize = (action, options = {}) => {
+  return async (req, res, next) => {
+    try {
+      if (can(req.user, action)) {
+        return next();
+      }
+
+      const scopes = getScopes(req.user, action);
+      if (options.resource && scopes.length > 0) {
+        if (scopes.includes("team")) {
+          await getTeamScope(req.user);
+        }
+        const resource = await options.resource(req);
+        if (!resource) {
+          return res
+            .status(404)
+            .json({ message: `${options.name || "Resource"} not found` });
+        }
+        req.resource = resource;
+        if (can(req.user, action, resource)) {
+          return next();
+        }
+      }
+
+      res
+        .status(403)
+        .json({ message: `Access denied: missing permission ${action}` });
+    } catch (error) {
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  };
+};
+
+module.exports = { authorize };
@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    actorRole: {
+      type: String,
+    },
+    // nama aksi dalam format <entity>.<verb>, mis. task.update atau user.suspend
+    action: {
+      type: String,
+      required: true,
+    },
+    entityType: {
+      type: String,
+      required: true,
+    },
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // only the fields that changed: { field: { from, to } }
+    changes: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
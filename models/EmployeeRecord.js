@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+// data personalia karyawan, terhubung 1:1 dengan User (dikelola HRD)
+const employeeRecordSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    employeeNumber: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    department: {
+      type: String,
+      trim: true,
+    },
+    joinDate: {
+      type: Date,
+      required: true,
+    },
+    employmentStatus: {
+      type: String,
+      enum: ["permanent", "contract", "probation", "intern", "resigned", "terminated"],
+      default: "probation",
+    },
+    emergencyContact: {
+      name: {
+        type: String,
+      },
+      relationship: {
+        type: String,
+      },
+      phone: {
+        type: String,
+      },
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("EmployeeRecord", employeeRecordSchema);
@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+
+const invitationSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    role: {
+      type: String,
+      enum: ["superadmin", "admin", "hrd", "user"],
+      default: "user",
+    },
+    position: {
+      type: String,
+      default: "staff",
+    },
+    // token undangan disimpan dalam bentuk hash, token asli hanya dikirim lewat email
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+    usedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+invitationSchema.virtual("status").get(function () {
+  if (this.revokedAt) return "revoked";
+  if (this.usedAt) return "used";
+  if (this.expiresAt <= new Date()) return "expired";
+  return "pending";
+});
+
+module.exports = mongoose.model("Invitation", invitationSchema);
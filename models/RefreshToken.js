@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+// refresh token disimpan dalam bentuk hash, token asli hanya dikirim ke client
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // every token rotated from the same login shares one family id
+    family: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    replacedByHash: {
+      type: String,
+      default: null,
+    },
+    createdByIp: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+// let mongo drop expired tokens automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+refreshTokenSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+module.exports = mongoose.model("RefreshToken", refreshTokenSchema);
@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+
+const securityLogSchema = new mongoose.Schema(
+  {
+    event: {
+      type: String,
+      enum: [
+        "login_failed",
+        "login_blocked",
+        "account_locked",
+        "ip_locked",
+        "account_unlocked",
+      ],
+      required: true,
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+    // user yang melakukan aksi, mis. admin yang membuka kunci akun
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  { timestamps: true }
+);
+
+securityLogSchema.index({ createdAt: -1 });
+securityLogSchema.index({ email: 1, createdAt: -1 });
+
+module.exports = mongoose.model("SecurityLog", securityLogSchema);
@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+// pengaturan sistem yang bisa diubah superadmin, satu dokumen per key
+const systemSettingSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("SystemSetting", systemSettingSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { TASK_STATUSES } = require("../config/taskStatus");
 
 const todoSchema = new mongoose.Schema({
   text: {
@@ -13,6 +14,21 @@ const todoSchema = new mongoose.Schema({
     type: String,
     default: "",
   },
+  // item bisa dibagi ke salah satu assignee task; null = item bersama
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  completedAt: {
+    type: Date,
+    default: null,
+  },
 });
 
 const taskSchema = new mongoose.Schema(
@@ -31,7 +47,7 @@ const taskSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["Pending", "In Progress", "Completed", "Rejected"],
+      enum: TASK_STATUSES,
       default: "Pending",
     },
     dueDate: {
@@ -73,8 +89,125 @@ const taskSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // estimasi jam kerja, dipakai workload policy (null = default per priority)
+    effortHours: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    // task yang harus selesai lebih dulu sebelum task ini bisa dimulai
+    blockedBy: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Task",
+      },
+    ],
+    // task berulang: seri asal dan urutan instance dalam seri
+    series: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TaskSeries",
+      default: null,
+    },
+    occurrence: {
+      type: Number,
+      default: null,
+    },
+    // template (dan versinya) asal task ini dibuat
+    template: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TaskTemplate",
+      default: null,
+    },
+    templateVersion: {
+      type: Number,
+      default: null,
+    },
+    // konflik jadwal yang di-override admin beserta alasannya
+    conflictOverrides: [
+      {
+        conflicts: {
+          type: mongoose.Schema.Types.Mixed,
+        },
+        justification: {
+          type: String,
+          required: true,
+        },
+        overriddenBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        overriddenAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // soft delete: task masuk trash sampai di-restore atau di-purge
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
   },
   { timestamps: true }
 );
 
+// Trashed tasks are hidden from every query unless the filter names deletedAt
+// explicitly (trash listing, restore) or the query sets { withDeleted: true }.
+function excludeDeleted() {
+  if (this.getOptions().withDeleted || this.getFilter().deletedAt !== undefined) {
+    return;
+  }
+  this.where({ deletedAt: null });
+}
+
+taskSchema.pre(["find", "findOne", "countDocuments", "findOneAndUpdate"], excludeDeleted);
+// stages MongoDB only accepts at the very start of a pipeline
+const FIRST_ONLY_STAGES = [
+  "$geoNear",
+  "$search",
+  "$searchMeta",
+  "$vectorSearch",
+  "$collStats",
+  "$indexStats",
+];
+
+taskSchema.pre("aggregate", function () {
+  if (this.options.withDeleted) return;
+  const pipeline = this.pipeline();
+  const first = pipeline[0];
+
+  if (first?.$match) {
+    // merged into the existing $match so a leading $text match stays first
+    if (first.$match.deletedAt === undefined) {
+      first.$match = { ...first.$match, deletedAt: null };
+    }
+    return;
+  }
+  const mustStayFirst = first && FIRST_ONLY_STAGES.some((stage) => stage in first);
+  pipeline.splice(mustStayFirst ? 1 : 0, 0, { $match: { deletedAt: null } });
+});
+
+taskSchema.index({ blockedBy: 1 });
+taskSchema.index({ assignedTo: 1, status: 1, dueDate: 1 });
+taskSchema.index({ status: 1, createdAt: -1 });
+taskSchema.index({ deletedAt: 1 });
+// full-text search untuk GET /api/tasks?search=
+taskSchema.index(
+  {
+    title: "text",
+    description: "text",
+    "todoChecklist.text": "text",
+    "location.address": "text",
+  },
+  {
+    name: "task_text_search",
+    weights: { title: 10, "todoChecklist.text": 3, "location.address": 3, description: 1 },
+  }
+);
+
 module.exports = mongoose.model("Task", taskSchema);
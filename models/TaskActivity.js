@@ -0,0 +1,70 @@
+const mongoose = require("mongoose");
+
+const changeSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: true,
+    },
+    from: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    to: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+// riwayat perubahan per task, ditampilkan sebagai timeline
+const taskActivitySchema = new mongoose.Schema(
+  {
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    type: {
+      type: String,
+      enum: [
+        "created",
+        "updated",
+        "status_changed",
+        "checklist_updated",
+        "deleted",
+        "restored",
+        "assignment_requested",
+        "assignment_approved",
+        "assignment_rejected",
+        "assignment_expired",
+        "assignment_withdrawn",
+        "assignment_reminder_sent",
+        "assignment_countered",
+        "assignment_counter_accepted",
+        "assignment_counter_declined",
+        "dependency_added",
+        "dependency_removed",
+        "conflicts_overridden",
+      ],
+      required: true,
+    },
+    changes: [changeSchema],
+    // extra context, e.g. the user an assignment request is for
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+taskActivitySchema.index({ task: 1, createdAt: -1 });
+
+module.exports = mongoose.model("TaskActivity", taskActivitySchema);
@@ -1,5 +1,35 @@
 const mongoose = require("mongoose");
 
+// satu langkah negosiasi: counter dari user, lalu accept / decline dari admin
+const negotiationEntrySchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: ["counter", "accept", "decline"],
+      required: true,
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    proposedDueDate: {
+      type: Date,
+      default: null,
+    },
+    proposedPriority: {
+      type: String,
+      enum: ["Low", "Medium", "High", null],
+      default: null,
+    },
+    message: {
+      type: String,
+      default: "",
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
 const taskAssignmentRequestSchema = new mongoose.Schema(
   {
     taskId: {
@@ -19,15 +49,56 @@ const taskAssignmentRequestSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["Pending", "Approved", "Rejected"],
+      enum: ["Pending", "Approved", "Rejected", "Expired", "Withdrawn"],
       default: "Pending",
     },
     rejectionReason: {
       type: String,
       default: null,
     },
+    // batas waktu menjawab (null = tanpa batas), lihat setting assignmentRequests;
+    // selama ada counterProposal, deadline ini milik admin
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    reminderSentAt: {
+      type: Date,
+      default: null,
+    },
+    withdrawnBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    withdrawalReason: {
+      type: String,
+      default: null,
+    },
+    // counter-proposal yang menunggu jawaban admin (null = tidak ada)
+    counterProposal: {
+      type: new mongoose.Schema(
+        {
+          dueDate: { type: Date, default: null },
+          priority: { type: String, enum: ["Low", "Medium", "High", null], default: null },
+          message: { type: String, default: "" },
+          proposedAt: { type: Date, default: Date.now },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+    negotiation: [negotiationEntrySchema],
+    // request baru yang menggantikan request ini saat di-reassign
+    replacedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TaskAssignmentRequest",
+      default: null,
+    },
   },
   { timestamps: true }
 );
 
+taskAssignmentRequestSchema.index({ status: 1, expiresAt: 1 });
+
 module.exports = mongoose.model("TaskAssignmentRequest", taskAssignmentRequestSchema);
@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+const taskCommentSchema = new mongoose.Schema(
+  {
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // komentar induk untuk balasan (thread)
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TaskComment",
+      default: null,
+    },
+    body: {
+      type: String,
+      default: "",
+    },
+    attachments: [
+      {
+        type: String,
+      },
+    ],
+    mentions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+    // comments are soft deleted so replies keep their place in the thread
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+taskCommentSchema.index({ task: 1, createdAt: 1 });
+
+module.exports = mongoose.model("TaskComment", taskCommentSchema);
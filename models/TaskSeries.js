@@ -0,0 +1,144 @@
+const mongoose = require("mongoose");
+
+// aturan pengulangan, mirip RRULE: FREQ, INTERVAL, BYDAY, BYMONTHDAY, UNTIL, COUNT
+const recurrenceRuleSchema = new mongoose.Schema(
+  {
+    frequency: {
+      type: String,
+      enum: ["daily", "weekly", "monthly"],
+      required: true,
+    },
+    interval: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    // 0 = Minggu ... 6 = Sabtu, hanya untuk weekly
+    byWeekday: [
+      {
+        type: Number,
+        min: 0,
+        max: 6,
+      },
+    ],
+    // tanggal dalam bulan, hanya untuk monthly
+    byMonthDay: {
+      type: Number,
+      min: 1,
+      max: 31,
+      default: null,
+    },
+    until: {
+      type: Date,
+      default: null,
+    },
+    count: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+// template dan status satu seri task berulang
+const taskSeriesSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+    },
+    description: {
+      type: String,
+    },
+    priority: {
+      type: String,
+      enum: ["Low", "Medium", "High"],
+      default: "Medium",
+    },
+    assignedTo: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    location: {
+      lat: { type: Number },
+      lng: { type: Number },
+      address: { type: String },
+    },
+    attachments: [
+      {
+        type: String,
+      },
+    ],
+    // teks checklist saja, setiap instance mendapat checklist baru yang belum dicentang
+    todoChecklist: [
+      {
+        type: String,
+      },
+    ],
+    // assignee per item todoChecklist (index yang sama), null = item bersama
+    todoChecklistAssignees: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+    ],
+    rule: {
+      type: recurrenceRuleSchema,
+      required: true,
+    },
+    // first due date of the series; rule dates are anchored on it
+    startDate: {
+      type: Date,
+      required: true,
+    },
+    // "completion": next instance when the previous one is completed
+    // "schedule": next instance leadTimeDays before its due date
+    generateOn: {
+      type: String,
+      enum: ["completion", "schedule"],
+      default: "completion",
+    },
+    leadTimeDays: {
+      type: Number,
+      default: 1,
+      min: 0,
+    },
+    occurrenceCount: {
+      type: Number,
+      default: 0,
+    },
+    lastDueDate: {
+      type: Date,
+      default: null,
+    },
+    nextDueDate: {
+      type: Date,
+      default: null,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    stoppedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+taskSeriesSchema.index({ active: 1, generateOn: 1, nextDueDate: 1 });
+
+module.exports = mongoose.model("TaskSeries", taskSeriesSchema);
@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+
+// item checklist template, teks boleh berisi placeholder seperti {{site}}
+const templateItemSchema = new mongoose.Schema(
+  {
+    text: {
+      type: String,
+      required: true,
+    },
+    note: {
+      type: String,
+      default: "",
+    },
+  },
+  { _id: false }
+);
+
+// isi template yang di-versi; dipakai juga oleh TaskTemplateVersion
+const templateContent = {
+  title: {
+    type: String,
+    required: true,
+  },
+  description: {
+    type: String,
+    default: "",
+  },
+  priority: {
+    type: String,
+    enum: ["Low", "Medium", "High"],
+    default: "Medium",
+  },
+  todoChecklist: [templateItemSchema],
+  // due date default = hari pembuatan task + sekian hari
+  defaultDueInDays: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  // nama placeholder yang dipakai di title / description / checklist
+  variables: [
+    {
+      type: String,
+    },
+  ],
+};
+
+const taskTemplateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    ...templateContent,
+    version: {
+      type: Number,
+      default: 1,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // template yang diarsipkan tidak bisa dipakai lagi, tapi tetap direferensikan task lama
+    archivedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("TaskTemplate", taskTemplateSchema);
+module.exports.templateContent = templateContent;
@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+const { templateContent } = require("./TaskTemplate");
+
+// snapshot tidak berubah dari setiap versi template
+const taskTemplateVersionSchema = new mongoose.Schema(
+  {
+    template: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TaskTemplate",
+      required: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    ...templateContent,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+taskTemplateVersionSchema.index({ template: 1, version: 1 }, { unique: true });
+
+module.exports = mongoose.model("TaskTemplateVersion", taskTemplateVersionSchema);
@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+// department dan team dalam satu hirarki: department bisa punya sub-team lewat parent
+const teamSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: ["department", "team"],
+      default: "team",
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Team",
+      default: null,
+    },
+    // admin yang bertanggung jawab atas team ini
+    manager: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    members: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+teamSchema.index({ manager: 1 });
+teamSchema.index({ members: 1 });
+
+module.exports = mongoose.model("Team", teamSchema);
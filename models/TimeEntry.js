@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+// satu blok waktu kerja seorang user pada sebuah task
+const timeEntrySchema = new mongoose.Schema(
+  {
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    startedAt: {
+      type: Date,
+      required: true,
+    },
+    // null selama timer masih berjalan
+    endedAt: {
+      type: Date,
+      default: null,
+    },
+    durationMinutes: {
+      type: Number,
+      default: null,
+    },
+    source: {
+      type: String,
+      enum: ["timer", "manual"],
+      required: true,
+    },
+    note: {
+      type: String,
+      default: "",
+    },
+  },
+  { timestamps: true }
+);
+
+timeEntrySchema.index({ user: 1, startedAt: 1 });
+timeEntrySchema.index({ task: 1, startedAt: -1 });
+timeEntrySchema.index({ user: 1, endedAt: 1 });
+// satu timer berjalan per user, juga saat dua request start datang bersamaan
+timeEntrySchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { endedAt: null } }
+);
+
+module.exports = mongoose.model("TimeEntry", timeEntrySchema);
@@ -28,6 +28,80 @@ const UserSchema = new mongoose.Schema(
       type: String,
       default: "staff",
     },
+    // status akun: suspended bisa diaktifkan lagi, deactivated untuk user yang sudah keluar
+    status: {
+      type: String,
+      enum: ["active", "suspended", "deactivated"],
+      default: "active",
+    },
+    // kapasitas workload user (null = defaultCapacity dari workload policy)
+    workloadCapacity: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    statusReason: {
+      type: String,
+      default: null,
+    },
+    statusChangedAt: {
+      type: Date,
+      default: null,
+    },
+    statusChangedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // dinaikkan setiap kali password diganti atau logout dari semua device,
+    // access token dengan versi lama otomatis ditolak oleh protect
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
+    passwordChangedAt: {
+      type: Date,
+      default: null,
+    },
+    // token reset password hanya disimpan dalam bentuk hash (sha256)
+    passwordResetTokenHash: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      default: null,
+      select: false,
+    },
+    // two-factor authentication (TOTP)
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorSecret: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    // secret yang sedang didaftarkan, baru aktif setelah kode pertama diverifikasi
+    twoFactorPendingSecret: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    // time step of the last accepted code, used to block replays
+    twoFactorLastUsedStep: {
+      type: Number,
+      default: -1,
+      select: false,
+    },
+    // hash sha256 dari recovery code yang belum dipakai
+    twoFactorRecoveryCodes: {
+      type: [String],
+      default: [],
+      select: false,
+    },
   },
   { timestamps: true }
 );
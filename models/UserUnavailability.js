@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+// periode user tidak bisa menerima task (cuti, sakit, training, ...)
+const userUnavailabilitySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // tanggal inklusif, disimpan sebagai awal hari (UTC)
+    startDate: {
+      type: Date,
+      required: true,
+    },
+    endDate: {
+      type: Date,
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: ["leave", "sick", "training", "other"],
+      default: "leave",
+    },
+    note: {
+      type: String,
+      default: "",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+userUnavailabilitySchema.index({ user: 1, startDate: 1, endDate: 1 });
+
+module.exports = mongoose.model("UserUnavailability", userUnavailabilitySchema);
@@ -0,0 +1,15 @@
+const express = require("express");
+const { protect } = require("../middlewares/authMiddleware");
+const { authorize } = require("../middlewares/permissionMiddleware");
+const {
+  getAuditLogs,
+  exportAuditLogs,
+} = require("../controllers/auditLogController");
+
+const router = express.Router();
+
+// audit log (superadmin only)
+router.get("/", protect, authorize("audit:read"), getAuditLogs);
+router.get("/export", protect, authorize("audit:read"), exportAuditLogs);
+
+module.exports = router;
@@ -1,6 +1,23 @@
 const express = require('express');
-const { registerUser, loginUser, getUserProfile, updateUserProfile } = require('../controllers/authController');
-const { protect } = require('../middlewares/authMiddleware');
+const {
+    registerUser,
+    loginUser,
+    getUserProfile,
+    updateUserProfile,
+    refreshAccessToken,
+    logoutUser,
+    logoutAllDevices,
+    forgotPassword,
+    resetPassword,
+} = require('../controllers/authController');
+const {
+    setupTwoFactor,
+    verifyTwoFactorSetup,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    verifyLoginTwoFactor,
+} = require('../controllers/twoFactorController');
+const { protect, protectAllowTwoFactorSetup } = require('../middlewares/authMiddleware');
 const upload = require('../middlewares/uploadMiddleware');
 
 const router = express.Router();
@@ -8,8 +25,20 @@ const router = express.Router();
 // auth routes
 router.post('/register', registerUser);
 router.post('/login', loginUser);
-router.get('/profile', protect, getUserProfile);
+router.post('/login/2fa', verifyLoginTwoFactor);
+router.get('/profile', protectAllowTwoFactorSetup, getUserProfile);
 router.put('/profile', protect, updateUserProfile);
+router.post('/refresh', refreshAccessToken);
+router.post('/logout', logoutUser);
+router.post('/logout-all', protectAllowTwoFactorSetup, logoutAllDevices);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+
+// two-factor authentication routes
+router.post('/2fa/setup', protectAllowTwoFactorSetup, setupTwoFactor);
+router.post('/2fa/verify', protectAllowTwoFactorSetup, verifyTwoFactorSetup);
+router.post('/2fa/disable', protect, disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, regenerateRecoveryCodes);
 
 router.post('/upload-image', upload.single("image"), (req, res) => {
     if (!req.file) {
@@ -0,0 +1,17 @@
+const express = require("express");
+const { protect } = require("../middlewares/authMiddleware");
+const { authorize } = require("../middlewares/permissionMiddleware");
+const {
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+} = require("../controllers/invitationController");
+
+const router = express.Router();
+
+// invitation routes (superadmin only)
+router.post("/", protect, authorize("invitation:manage"), createInvitation);
+router.get("/", protect, authorize("invitation:manage"), getInvitations);
+router.delete("/:id", protect, authorize("invitation:manage"), revokeInvitation);
+
+module.exports = router;
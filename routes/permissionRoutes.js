@@ -0,0 +1,14 @@
+const express = require("express");
+const { protect } = require("../middlewares/authMiddleware");
+const { authorize } = require("../middlewares/permissionMiddleware");
+const {
+  getMyPermissions,
+  getRolePermissions,
+} = require("../controllers/permissionController");
+
+const router = express.Router();
+
+router.get("/me", protect, getMyPermissions);
+router.get("/", protect, authorize("permission:read"), getRolePermissions);
+
+module.exports = router;
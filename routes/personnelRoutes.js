@@ -0,0 +1,21 @@
+const express = require("express");
+const { protect } = require("../middlewares/authMiddleware");
+const { authorize } = require("../middlewares/permissionMiddleware");
+const {
+  getEmployees,
+  getEmployeeById,
+  createEmployee,
+  updateEmployee,
+  deleteEmployee,
+} = require("../controllers/personnelController");
+
+const router = express.Router();
+
+// personalia routes (HRD & superadmin)
+router.get("/", protect, authorize("personnel:read"), getEmployees);
+router.get("/:id", protect, authorize("personnel:read"), getEmployeeById);
+router.post("/", protect, authorize("personnel:manage"), createEmployee);
+router.put("/:id", protect, authorize("personnel:manage"), updateEmployee);
+router.delete("/:id", protect, authorize("personnel:manage"), deleteEmployee);
+
+module.exports = router;
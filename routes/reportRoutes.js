@@ -1,10 +1,18 @@
 const express = require('express');
-const { protect, adminOnly } = require('../middlewares/authMiddleware');
-const { exportTasksReport, exportUsersReport } = require('../controllers/reportController');
+const { protect } = require('../middlewares/authMiddleware');
+const { authorize } = require('../middlewares/permissionMiddleware');
+const {
+  exportTasksReport,
+  exportUsersReport,
+  exportPersonnelReport,
+  exportTimesheetReport,
+} = require('../controllers/reportController');
 
 const router = express.Router();
 
-router.get("/export/tasks", protect, adminOnly, exportTasksReport); // export tasks (admin only)
-router.get("/export/users", protect, adminOnly, exportUsersReport); // export users (admin only)
+router.get("/export/tasks", protect, authorize("report:export"), exportTasksReport); // export tasks
+router.get("/export/users", protect, authorize("report:export"), exportUsersReport); // export users
+router.get("/export/timesheet", protect, authorize("report:export"), exportTimesheetReport); // export timesheet mingguan
+router.get("/export/personnel", protect, authorize("personnel:export"), exportPersonnelReport); // export personalia (HRD)
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require("express");
+const { protect } = require("../middlewares/authMiddleware");
+const { authorize } = require("../middlewares/permissionMiddleware");
+const { getSecurityLogs } = require("../controllers/securityLogController");
+
+const router = express.Router();
+
+router.get("/", protect, authorize("security-log:read"), getSecurityLogs);
+
+module.exports = router;
@@ -0,0 +1,41 @@
+const express = require("express");
+const { protect } = require("../middlewares/authMiddleware");
+const { authorize } = require("../middlewares/permissionMiddleware");
+const {
+  getTwoFactorSettings,
+  updateTwoFactorSettings,
+  getTeamScopeSettings,
+  updateTeamScopeSettings,
+  getTaskRetentionSettings,
+  updateTaskRetentionSettings,
+  getWorkloadPolicySettings,
+  updateWorkloadPolicySettings,
+  getAssignmentRequestSettings,
+  updateAssignmentRequestSettings,
+} = require("../controllers/settingsController");
+
+const router = express.Router();
+
+// system settings (superadmin only)
+router.get("/two-factor", protect, authorize("settings:manage"), getTwoFactorSettings);
+router.put("/two-factor", protect, authorize("settings:manage"), updateTwoFactorSettings);
+router.get("/team-scope", protect, authorize("settings:manage"), getTeamScopeSettings);
+router.put("/team-scope", protect, authorize("settings:manage"), updateTeamScopeSettings);
+router.get("/task-retention", protect, authorize("settings:manage"), getTaskRetentionSettings);
+router.put("/task-retention", protect, authorize("settings:manage"), updateTaskRetentionSettings);
+router.get("/workload-policy", protect, authorize("settings:manage"), getWorkloadPolicySettings);
+router.put("/workload-policy", protect, authorize("settings:manage"), updateWorkloadPolicySettings);
+router.get(
+  "/assignment-requests",
+  protect,
+  authorize("settings:manage"),
+  getAssignmentRequestSettings
+);
+router.put(
+  "/assignment-requests",
+  protect,
+  authorize("settings:manage"),
+  updateAssignmentRequestSettings
+);
+
+module.exports = router;
@@ -1,19 +1,52 @@
 const express = require("express");
 const { protect } = require("../middlewares/authMiddleware");
+const { authorize } = require("../middlewares/permissionMiddleware");
+const TaskAssignmentRequest = require("../models/TaskAssignmentRequest");
 const {
   createTaskAssignmentRequest,
   getUserAssignmentRequests,
   respondToAssignmentRequest,
+  respondToCounterProposal,
+  withdrawAssignmentRequest,
+  reassignAssignmentRequest,
   checkHighPriorityTasks,
   getAllAssignmentRequests,
 } = require("../controllers/taskAssignmentController");
 
 const router = express.Router();
 
-router.post("/", protect, createTaskAssignmentRequest);
-router.get("/user-requests", protect, getUserAssignmentRequests);
-router.put("/:id/respond", protect, respondToAssignmentRequest);
-router.post("/check-high-priority-tasks", protect, checkHighPriorityTasks);
-router.get("/all-requests", protect, getAllAssignmentRequests);
+const requestResource = {
+  name: "Assignment request",
+  resource: (req) => TaskAssignmentRequest.findById(req.params.id),
+};
+
+router.post("/", protect, authorize("assignment:create"), createTaskAssignmentRequest);
+router.get("/user-requests", protect, getUserAssignmentRequests); // own requests only
+router.put(
+  "/:id/respond",
+  protect,
+  authorize("assignment:respond", requestResource),
+  respondToAssignmentRequest
+);
+router.put(
+  "/:id/counter",
+  protect,
+  authorize("assignment:manage", requestResource),
+  respondToCounterProposal
+); // task:update checked in controller when accepting
+router.post(
+  "/:id/withdraw",
+  protect,
+  authorize("assignment:manage", requestResource),
+  withdrawAssignmentRequest
+);
+router.post(
+  "/:id/reassign",
+  protect,
+  authorize("assignment:manage", requestResource),
+  reassignAssignmentRequest
+);
+router.post("/check-high-priority-tasks", protect, authorize("workload:check"), checkHighPriorityTasks);
+router.get("/all-requests", protect, getAllAssignmentRequests); // any / team checked in controller
 
 module.exports = router;
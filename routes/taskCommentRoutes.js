@@ -0,0 +1,50 @@
+const express = require("express");
+const { protect } = require("../middlewares/authMiddleware");
+const { authorize } = require("../middlewares/permissionMiddleware");
+const upload = require("../middlewares/uploadMiddleware");
+const Task = require("../models/Task");
+const TaskComment = require("../models/TaskComment");
+const {
+  getTaskComments,
+  createTaskComment,
+  updateTaskComment,
+  deleteTaskComment,
+} = require("../controllers/taskCommentController");
+
+// di-mount di /api/tasks/:id/comments
+const router = express.Router({ mergeParams: true });
+
+// komentar mengikuti aturan visibilitas getTaskById (task:read)
+const taskResource = { name: "Task", resource: (req) => Task.findById(req.params.id) };
+const commentResource = {
+  name: "Comment",
+  resource: (req) => TaskComment.findOne({ _id: req.params.commentId, task: req.params.id }),
+};
+const canSeeTask = authorize("task:read", taskResource);
+
+router.get("/", protect, canSeeTask, getTaskComments);
+router.post(
+  "/",
+  protect,
+  canSeeTask,
+  authorize("comment:create"),
+  upload.array("attachments", 5),
+  createTaskComment
+);
+router.put(
+  "/:commentId",
+  protect,
+  canSeeTask,
+  authorize("comment:update", commentResource),
+  upload.array("attachments", 5),
+  updateTaskComment
+);
+router.delete(
+  "/:commentId",
+  protect,
+  canSeeTask,
+  authorize("comment:delete", commentResource),
+  deleteTaskComment
+);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require("express");
-const { protect, adminOnly } = require("../middlewares/authMiddleware");
-const roleVerification = require("../middlewares/roleVerification");
+const { protect } = require("../middlewares/authMiddleware");
+const { authorize } = require("../middlewares/permissionMiddleware");
+const Task = require("../models/Task");
 const {
   getDashboardData,
   getUserDashboardData,
@@ -11,37 +12,90 @@ const {
   deleteTask,
   updateTaskStatus,
   updateTaskChecklist,
+  getTaskActivity,
+  bulkUpdateTasks,
 } = require("../controllers/taskControllers");
 
 const router = express.Router();
 const { getUsersWithTasksGrouped } = require("../controllers/userTasksController");
+const { makeTaskRecurring } = require("../controllers/taskSeriesController");
+const {
+  getTaskDependencies,
+  addTaskDependency,
+  removeTaskDependency,
+  getDependencyGraphForTasks,
+} = require("../controllers/taskDependencyController");
+const {
+  getTrashedTasks,
+  restoreTask,
+  purgeTrashedTask,
+  purgeExpiredTrash,
+} = require("../controllers/taskTrashController");
+const taskCommentRoutes = require("./taskCommentRoutes");
+const taskTimeEntryRoutes = require("./taskTimeEntryRoutes");
+
+// loader untuk permission dengan scope (own / assigned)
+const taskResource = { name: "Task", resource: (req) => Task.findById(req.params.id) };
+const trashedTaskResource = {
+  name: "Task",
+  resource: (req) => Task.findOne({ _id: req.params.id, deletedAt: { $ne: null } }),
+};
 
 // project routes
-router.get("/dashboard-data", protect, getDashboardData);
-router.get("/user-dashboard-data", protect, getUserDashboardData);
-router.get("/", protect, getTasks);
-router.get("/:id", protect, getTaskById);
-router.get("/users/tasks-grouped", protect, getUsersWithTasksGrouped);
+router.get("/dashboard-data", protect, authorize("dashboard:read:global"), getDashboardData);
+router.get("/user-dashboard-data", protect, authorize("dashboard:read:own"), getUserDashboardData);
+router.get("/", protect, getTasks); // visibility filtered in controller (task:read)
+router.get("/users/tasks-grouped", protect, authorize("team:read"), getUsersWithTasksGrouped);
+router.get("/trash", protect, authorize("trash:read"), getTrashedTasks); // team-scoped in controller
+router.post("/trash/purge", protect, authorize("trash:purge"), purgeExpiredTrash);
 router.post(
-  "/",
+  "/trash/:id/restore",
   protect,
-  adminOnly,
-  roleVerification.validateHighPriorityAssignment,
-  createTask
-); //create task (admin only)
+  authorize("task:restore", trashedTaskResource),
+  restoreTask
+);
+router.delete("/trash/:id", protect, authorize("trash:purge"), purgeTrashedTask);
+router.get("/dependency-graph", protect, getDependencyGraphForTasks); // visibility checked in controller
+router.get("/:id", protect, authorize("task:read", taskResource), getTaskById);
+router.get("/:id/activity", protect, authorize("task:read", taskResource), getTaskActivity);
+router.post("/", protect, authorize("task:create"), createTask); //create task
+router.post("/bulk", protect, bulkUpdateTasks); // per-task permission checks in controller
+router.put("/:id", protect, authorize("task:update", taskResource), updateTask); //update task
+router.delete("/:id", protect, authorize("task:delete", taskResource), deleteTask); //move task to trash
 router.put(
-  "/:id",
+  "/:id/status",
   protect,
-  roleVerification.adminManageAssignedUsers,
-  updateTask
-); //update task (admin only)
-router.delete("/:id", protect, adminOnly, deleteTask); //delete task (admin only)
-router.put("/:id/status", protect, updateTaskStatus); //update task status
+  authorize("task:status:update", taskResource),
+  updateTaskStatus
+); //update task status
 router.put(
   "/:id/todo",
   protect,
-  roleVerification.adminManageAssignedUsers,
+  authorize("task:checklist:update", taskResource),
   updateTaskChecklist
 ); //update task checklist
+router.post(
+  "/:id/recurrence",
+  protect,
+  authorize("series:create"),
+  authorize("task:update", taskResource),
+  makeTaskRecurring
+); //make task recurring
+
+// dependencies (blocked-by links)
+router.get("/:id/dependencies", protect, authorize("task:read", taskResource), getTaskDependencies);
+router.post("/:id/dependencies", protect, authorize("task:update", taskResource), addTaskDependency);
+router.delete(
+  "/:id/dependencies/:blockerId",
+  protect,
+  authorize("task:update", taskResource),
+  removeTaskDependency
+);
+
+// comment threads
+router.use("/:id/comments", taskCommentRoutes);
+
+// time tracking
+router.use("/:id/time-entries", taskTimeEntryRoutes);
 
 module.exports = router;
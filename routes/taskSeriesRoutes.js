@@ -0,0 +1,30 @@
+const express = require("express");
+const { protect } = require("../middlewares/authMiddleware");
+const { authorize } = require("../middlewares/permissionMiddleware");
+const TaskSeries = require("../models/TaskSeries");
+const {
+  getSeries,
+  getSeriesById,
+  updateSeries,
+  stopSeries,
+} = require("../controllers/taskSeriesController");
+
+const router = express.Router();
+
+// A series is owned by whoever created it (the list uses createdBy too), not
+// by its assignedBy, so only createdBy is exposed to the "own" condition.
+const seriesResource = {
+  name: "Series",
+  resource: async (req) => {
+    const series = await TaskSeries.findById(req.params.id).select("createdBy");
+    return series && { _id: series._id, createdBy: series.createdBy };
+  },
+};
+
+// recurring task series
+router.get("/", protect, authorize("series:list"), getSeries);
+router.get("/:id", protect, authorize("series:read", seriesResource), getSeriesById);
+router.put("/:id", protect, authorize("series:manage", seriesResource), updateSeries);
+router.post("/:id/stop", protect, authorize("series:manage", seriesResource), stopSeries);
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require("express");
+const { protect } = require("../middlewares/authMiddleware");
+const { authorize } = require("../middlewares/permissionMiddleware");
+const TaskTemplate = require("../models/TaskTemplate");
+const {
+  getTemplates,
+  getTemplateById,
+  createTemplate,
+  updateTemplate,
+  archiveTemplate,
+  getTemplateVersions,
+  getTemplateVersion,
+  createTaskFromTemplate,
+} = require("../controllers/taskTemplateController");
+
+const router = express.Router();
+
+const templateResource = {
+  name: "Template",
+  resource: (req) => TaskTemplate.findById(req.params.id),
+};
+
+// task templates
+router.get("/", protect, authorize("template:read"), getTemplates);
+router.post("/", protect, authorize("template:create"), createTemplate);
+router.get("/:id", protect, authorize("template:read"), getTemplateById);
+router.put("/:id", protect, authorize("template:manage", templateResource), updateTemplate);
+router.delete("/:id", protect, authorize("template:manage", templateResource), archiveTemplate);
+router.get("/:id/versions", protect, authorize("template:read"), getTemplateVersions);
+router.get("/:id/versions/:version", protect, authorize("template:read"), getTemplateVersion);
+router.post(
+  "/:id/tasks",
+  protect,
+  authorize("template:read"),
+  authorize("task:create"),
+  createTaskFromTemplate
+);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require("express");
+const { protect } = require("../middlewares/authMiddleware");
+const { authorize } = require("../middlewares/permissionMiddleware");
+const Task = require("../models/Task");
+const {
+  getTaskTimeEntries,
+  startTimer,
+  stopTimer,
+  createManualEntry,
+} = require("../controllers/timeEntryController");
+
+// di-mount di /api/tasks/:id/time-entries
+const router = express.Router({ mergeParams: true });
+
+const taskResource = { name: "Task", resource: (req) => Task.findById(req.params.id) };
+const canSeeTask = authorize("task:read", taskResource);
+
+router.get("/", protect, canSeeTask, getTaskTimeEntries);
+router.post("/", protect, authorize("time:track"), canSeeTask, createManualEntry);
+router.post("/start", protect, authorize("time:track"), canSeeTask, startTimer);
+router.post("/stop", protect, authorize("time:track"), canSeeTask, stopTimer);
+
+module.exports = router;
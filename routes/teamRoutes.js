@@ -0,0 +1,23 @@
+const express = require("express");
+const { protect } = require("../middlewares/authMiddleware");
+const { authorize } = require("../middlewares/permissionMiddleware");
+const {
+  getTeams,
+  getTeamById,
+  createTeam,
+  updateTeam,
+  updateTeamMembers,
+  deleteTeam,
+} = require("../controllers/teamController");
+
+const router = express.Router();
+
+// department & team routes
+router.get("/", protect, authorize("team:read"), getTeams);
+router.get("/:id", protect, authorize("team:read"), getTeamById);
+router.post("/", protect, authorize("team:manage"), createTeam);
+router.put("/:id", protect, authorize("team:manage"), updateTeam);
+router.put("/:id/members", protect, authorize("team:manage"), updateTeamMembers);
+router.delete("/:id", protect, authorize("team:manage"), deleteTeam);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require("express");
+const { protect } = require("../middlewares/authMiddleware");
+const { authorize } = require("../middlewares/permissionMiddleware");
+const TimeEntry = require("../models/TimeEntry");
+const {
+  updateTimeEntry,
+  deleteTimeEntry,
+  getRunningTimer,
+  getTimesheet,
+} = require("../controllers/timeEntryController");
+
+const router = express.Router();
+
+const entryResource = {
+  name: "Time entry",
+  resource: (req) => TimeEntry.findById(req.params.id),
+};
+
+// time tracking (entries per task ada di /api/tasks/:id/time-entries)
+router.get("/running", protect, authorize("time:track"), getRunningTimer);
+router.get("/timesheet", protect, getTimesheet); // own / team / any checked in controller
+router.put("/:id", protect, authorize("time:manage", entryResource), updateTimeEntry);
+router.delete("/:id", protect, authorize("time:manage", entryResource), deleteTimeEntry);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require("express");
+const { protect } = require("../middlewares/authMiddleware");
+const { authorize } = require("../middlewares/permissionMiddleware");
+const UserUnavailability = require("../models/UserUnavailability");
+const {
+  getUnavailability,
+  createUnavailability,
+  deleteUnavailability,
+} = require("../controllers/unavailabilityController");
+
+const router = express.Router();
+
+const periodResource = {
+  name: "Unavailability period",
+  resource: (req) => UserUnavailability.findById(req.params.id),
+};
+
+// periode cuti / sakit / training, dipakai conflict detection saat assign task
+router.get("/", protect, getUnavailability); // own periods unless unavailability:read
+router.post("/", protect, createUnavailability); // own / any checked in controller
+router.delete("/:id", protect, authorize("unavailability:manage", periodResource), deleteUnavailability);
+
+module.exports = router;
@@ -1,29 +1,43 @@
 const express = require('express');
-const { protect, adminOnly } = require('../middlewares/authMiddleware');
-const roleVerification = require('../middlewares/roleVerification');
+const { protect } = require('../middlewares/authMiddleware');
+const { authorize } = require('../middlewares/permissionMiddleware');
 const {
   getUsers,
   getUserById,
   updateUserPosition,
   updateUserProfilePhoto,
+  unlockUserAccount,
+  updateUserRole,
+  suspendUser,
+  reactivateUser,
+  deactivateUser,
+  getUserOpenWork,
 } = require('../controllers/userController');
 
 const router = express.Router();
 
+// target user dari :id, dipakai untuk permission dengan scope "self"
+const userResource = { name: 'User', resource: (req) => ({ _id: req.params.id }) };
+
 // user management routes
 // Allow all authenticated users to get users for task assignment
-router.get('/', protect, getUsers);
-router.get('/:id', protect, getUserById);
-router.put(
-  '/:id/position',
-  protect,
-  roleVerification.superadminOnly,
-  updateUserPosition
-);
+router.get('/', protect, authorize('user:list'), getUsers);
+router.get('/:id', protect, authorize('user:read'), getUserById);
+router.put('/:id/position', protect, authorize('user:update:position'), updateUserPosition);
+
+// user lifecycle (superadmin only)
+router.put('/:id/role', protect, authorize('user:update:role'), updateUserRole);
+router.put('/:id/suspend', protect, authorize('user:manage-status'), suspendUser);
+router.put('/:id/reactivate', protect, authorize('user:manage-status'), reactivateUser);
+router.put('/:id/deactivate', protect, authorize('user:manage-status'), deactivateUser);
+router.get('/:id/open-work', protect, authorize('user:manage-status'), getUserOpenWork);
+
 router.put(
   '/:id/profile-photo',
   protect,
+  authorize('user:update', userResource),
   updateUserProfilePhoto
 );
+router.post('/:id/unlock', protect, authorize('user:unlock'), unlockUserAccount);
 
 module.exports = router;
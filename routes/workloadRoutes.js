@@ -0,0 +1,12 @@
+const express = require("express");
+const { protect } = require("../middlewares/authMiddleware");
+const { authorize } = require("../middlewares/permissionMiddleware");
+const { getWorkload, updateUserCapacity } = require("../controllers/workloadController");
+
+const router = express.Router();
+
+// workload per user (policy diatur di /api/settings/workload-policy)
+router.get("/", protect, authorize("workload:check"), getWorkload);
+router.put("/capacity/:userId", protect, authorize("workload:manage"), updateUserCapacity);
+
+module.exports = router;
@@ -10,6 +10,22 @@ const userRoutes = require("./routes/userRoutes");
 const taskRoutes = require("./routes/taskRoutes");
 const reportRoutes = require("./routes/reportRoutes");
 const uploadRoutes = require("./routes/uploadRoutes");
+const invitationRoutes = require("./routes/invitationRoutes");
+const securityLogRoutes = require("./routes/securityLogRoutes");
+const settingsRoutes = require("./routes/settingsRoutes");
+const auditLogRoutes = require("./routes/auditLogRoutes");
+const permissionRoutes = require("./routes/permissionRoutes");
+const personnelRoutes = require("./routes/personnelRoutes");
+const teamRoutes = require("./routes/teamRoutes");
+const taskSeriesRoutes = require("./routes/taskSeriesRoutes");
+const taskTemplateRoutes = require("./routes/taskTemplateRoutes");
+const timeEntryRoutes = require("./routes/timeEntryRoutes");
+const workloadRoutes = require("./routes/workloadRoutes");
+const unavailabilityRoutes = require("./routes/unavailabilityRoutes");
+const { startRecurrenceScheduler } = require("./services/recurrenceService");
+const { startTrashPurgeScheduler } = require("./services/trashService");
+const { startAssignmentExpiryScheduler } = require("./services/assignmentRequestService");
+const { getTransport } = require("./services/mailService");
 
 const app = express();
 
@@ -25,6 +41,14 @@ app.use(
 // database connection
 connectDB();
 
+// konfigurasi mail yang salah langsung gagal saat start, bukan saat email pertama dikirim
+getTransport();
+
+// scheduler untuk task berulang
+startRecurrenceScheduler();
+startTrashPurgeScheduler();
+startAssignmentExpiryScheduler();
+
 // middleware
 app.use(express.json());
 
@@ -42,6 +66,18 @@ app.use("/api/tasks", taskRoutes);
 app.use("/api/reports", reportRoutes);
 app.use("/api/upload", uploadRoutes);
 app.use("/api/task-assignment", taskAssignmentRoutes);
+app.use("/api/invitations", invitationRoutes);
+app.use("/api/security-logs", securityLogRoutes);
+app.use("/api/settings", settingsRoutes);
+app.use("/api/audit-logs", auditLogRoutes);
+app.use("/api/permissions", permissionRoutes);
+app.use("/api/personnel", personnelRoutes);
+app.use("/api/teams", teamRoutes);
+app.use("/api/task-series", taskSeriesRoutes);
+app.use("/api/task-templates", taskTemplateRoutes);
+app.use("/api/time-entries", timeEntryRoutes);
+app.use("/api/workload", workloadRoutes);
+app.use("/api/unavailability", unavailabilityRoutes);
 
 // serve upload folder
 app.use("/uploads", express.static(path.join(__dirname, "uploads")));
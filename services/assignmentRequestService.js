@@ -0,0 +1,245 @@
+const TaskAssignmentRequest = require("../models/TaskAssignmentRequest");
+const Task = require("../models/Task");
+const User = require("../models/User");
+const { getSetting } = require("./settingsService");
+const { recordAudit, toSnapshot } = require("./auditService");
+const { recordTaskActivity } = require("./taskActivityService");
+const { syncAssignmentStatus } = require("./taskStatusService");
+const { sendMail } = require("./mailService");
+
+const HOUR_MS = 60 * 60 * 1000;
+const EXPIRY_INTERVAL_MS = 15 * 60 * 1000;
+
+// untuk perubahan otomatis oleh scheduler (tidak ada request / actor)
+const SYSTEM_REQUEST = { headers: {} };
+
+// deadline untuk request baru, atau null bila setting tidak membatasi
+const getResponseDeadline = async (from = new Date()) => {
+  const { responseHours } = await getSetting("assignmentRequests");
+  return responseHours ? new Date(from.getTime() + responseHours * HOUR_MS) : null;
+};
+
+const isPastDeadline = (request, now = new Date()) =>
+  request.status === "Pending" && Boolean(request.expiresAt) && request.expiresAt <= now;
+
+// Ask `userId` to take `task` on behalf of `assignedByAdminId`; callers check
+// visibility, team scope and duplicates first.
+const openAssignmentRequest = async (task, userId, assignedByAdminId, req) => {
+  const request = await TaskAssignmentRequest.create({
+    taskId: task._id,
+    assignedByAdminId,
+    assignedToUserId: userId,
+    status: "Pending",
+    expiresAt: await getResponseDeadline(),
+  });
+
+  await recordAudit(req, {
+    action: "assignmentRequest.create",
+    entityType: "TaskAssignmentRequest",
+    after: request,
+  });
+  await recordTaskActivity(req, {
+    task,
+    type: "assignment_requested",
+    details: { userId, requestId: request._id },
+  });
+
+  await syncAssignmentStatus(task, req);
+  return request;
+};
+
+// Close a request without an answer (expired or withdrawn) and let the task
+// status follow. `changes` is applied to the request before saving.
+const closeRequest = async (request, req, { status, action, activityType, details = {}, changes = {} }) => {
+  const before = toSnapshot(request);
+  request.status = status;
+  Object.assign(request, changes);
+  await request.save();
+
+  await recordAudit(req, {
+    action,
+    entityType: "TaskAssignmentRequest",
+    before,
+    after: request,
+  });
+  await recordTaskActivity(req, {
+    task: { _id: request.taskId },
+    type: activityType,
+    details: { userId: request.assignedToUserId, requestId: request._id, ...details },
+  });
+
+  const task = await Task.findById(request.taskId);
+  if (task) {
+    await syncAssignmentStatus(task, req);
+  }
+  return request;
+};
+
+// A counter-proposal waits on the admin, so they are told when it lapses.
+const notifyCounterExpired = async (request) => {
+  const [admin, task] = await Promise.all([
+    User.findById(request.assignedByAdminId).select("name email"),
+    Task.findById(request.taskId).select("title"),
+  ]);
+  if (!admin || !task) return;
+  try {
+    await sendMail({
+      to: admin.email,
+      subject: `Counter-proposal expired: "${task.title}"`,
+      text:
+        `Hi ${admin.name},\n\n` +
+        `A counter-proposal for the task "${task.title}" was not answered before its deadline, ` +
+        "so the assignment request has expired. Reassign the request or create a new one.",
+    });
+  } catch (error) {
+    console.error("Failed to send counter-proposal expiry notice:", error.message);
+  }
+};
+
+// Expire an unanswered request. With an open counter-proposal it was the
+// admin's turn, so the counter lapses with it and the admin is notified.
+const expireRequest = async (request, req = SYSTEM_REQUEST) => {
+  const hadCounter = Boolean(request.counterProposal);
+  await closeRequest(request, req, {
+    status: "Expired",
+    action: "assignmentRequest.expire",
+    activityType: "assignment_expired",
+    details: { counterProposal: hadCounter },
+    changes: { counterProposal: null },
+  });
+  if (hadCounter) {
+    await notifyCounterExpired(request);
+  }
+  return request;
+};
+
+const withdrawRequest = (request, req, { reason = null, replacedBy = null } = {}) =>
+  closeRequest(request, req, {
+    status: "Withdrawn",
+    action: "assignmentRequest.withdraw",
+    activityType: "assignment_withdrawn",
+    details: { reason, replacedBy },
+    changes: { withdrawnBy: req.user._id, withdrawalReason: reason, replacedBy },
+  });
+
+// Withdraw the open requests of users taken off a task, so they can't accept
+// and be re-added afterwards.
+const withdrawRequestsForUsers = async (taskId, userIds, req, reason) => {
+  const requests = await TaskAssignmentRequest.find({
+    taskId,
+    assignedToUserId: { $in: userIds },
+    status: "Pending",
+  });
+  for (const request of requests) {
+    await withdrawRequest(request, req, { reason });
+  }
+  return requests.map((request) => request._id);
+};
+
+const expireOverdueRequests = async (req = SYSTEM_REQUEST) => {
+  const requests = await TaskAssignmentRequest.find({
+    status: "Pending",
+    expiresAt: { $ne: null, $lte: new Date() },
+  });
+  // requests of trashed tasks are on hold; restoring the task resets their deadline
+  const liveTasks = await Task.find({ _id: { $in: requests.map((request) => request.taskId) } })
+    .select("_id");
+  const liveTaskIds = new Set(liveTasks.map((task) => task._id.toString()));
+  const overdue = requests.filter((request) => liveTaskIds.has(request.taskId.toString()));
+  for (const request of overdue) {
+    await expireRequest(request, req);
+  }
+  return overdue.length;
+};
+
+// Give the requests held while a task was in the trash a fresh deadline.
+const resumeRequestsForTask = async (taskId) => {
+  const result = await TaskAssignmentRequest.updateMany(
+    { taskId, status: "Pending" },
+    { expiresAt: await getResponseDeadline(), reminderSentAt: null }
+  );
+  return result.modifiedCount;
+};
+
+// One reminder per request, reminderHoursBefore hours before it expires. It goes
+// to whoever has to answer: the user, or the admin while a counter is open.
+const sendDueReminders = async (req = SYSTEM_REQUEST) => {
+  const { reminderHoursBefore } = await getSetting("assignmentRequests");
+  if (!reminderHoursBefore) return 0;
+
+  const now = new Date();
+  const requests = await TaskAssignmentRequest.find({
+    status: "Pending",
+    reminderSentAt: null,
+    expiresAt: { $gt: now, $lte: new Date(now.getTime() + reminderHoursBefore * HOUR_MS) },
+  })
+    .populate("taskId", "title dueDate")
+    .populate("assignedToUserId", "name email")
+    .populate("assignedByAdminId", "name email");
+
+  let sent = 0;
+  for (const request of requests) {
+    const recipient = request.counterProposal
+      ? request.assignedByAdminId
+      : request.assignedToUserId;
+    // task di trash tidak perlu diingatkan
+    if (!request.taskId || !recipient) continue;
+    const deadline = request.expiresAt.toISOString();
+    try {
+      await sendMail({
+        to: recipient.email,
+        subject: `Reminder: respond to "${request.taskId.title}"`,
+        text: request.counterProposal
+          ? `Hi ${recipient.name},\n\n` +
+            `${request.assignedToUserId?.name || "A user"} sent a counter-proposal for the task ` +
+            `"${request.taskId.title}". Please accept or decline it before ${deadline}, ` +
+            "after that the assignment request expires."
+          : `Hi ${recipient.name},\n\n` +
+            `You have been asked to take the task "${request.taskId.title}". ` +
+            `Please accept or reject it before ${deadline}, ` +
+            "after that the request expires.",
+      });
+    } catch (error) {
+      console.error("Failed to send assignment reminder:", error.message);
+      continue;
+    }
+
+    await TaskAssignmentRequest.updateOne({ _id: request._id }, { reminderSentAt: now });
+    await recordTaskActivity(req, {
+      task: { _id: request.taskId._id },
+      type: "assignment_reminder_sent",
+      details: {
+        userId: recipient._id,
+        requestId: request._id,
+        expiresAt: request.expiresAt,
+        counterProposal: Boolean(request.counterProposal),
+      },
+    });
+    sent += 1;
+  }
+  return sent;
+};
+
+const startAssignmentExpiryScheduler = () => {
+  const run = () =>
+    sendDueReminders()
+      .then(() => expireOverdueRequests())
+      .catch((error) => console.error("Assignment request expiry failed:", error.message));
+  const timer = setInterval(run, EXPIRY_INTERVAL_MS);
+  timer.unref();
+  run();
+  return timer;
+};
+
+module.exports = {
+  getResponseDeadline,
+  isPastDeadline,
+  openAssignmentRequest,
+  expireRequest,
+  withdrawRequest,
+  withdrawRequestsForUsers,
+  expireOverdueRequests,
+  resumeRequestsForTask,
+  sendDueReminders,
+  startAssignmentExpiryScheduler,
+};
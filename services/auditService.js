@@ -0,0 +1,69 @@
+const AuditLog = require("../models/AuditLog");
+
+// field yang tidak boleh ikut tersimpan di audit log
+const SENSITIVE_FIELDS = [
+  "password",
+  "tokenVersion",
+  "passwordResetTokenHash",
+  "passwordResetExpires",
+  "twoFactorSecret",
+  "twoFactorPendingSecret",
+  "twoFactorLastUsedStep",
+  "twoFactorRecoveryCodes",
+  "tokenHash",
+  "__v",
+];
+
+// Convert a mongoose document (or plain object) to a JSON-safe snapshot
+// without sensitive fields. ObjectIds and dates become strings.
+const toSnapshot = (doc) => {
+  if (!doc) return null;
+  const plain = typeof doc.toObject === "function" ? doc.toObject({ depopulate: true }) : doc;
+  const snapshot = JSON.parse(JSON.stringify(plain));
+  for (const field of SENSITIVE_FIELDS) {
+    delete snapshot[field];
+  }
+  return snapshot;
+};
+
+const diffSnapshots = (before, after) => {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    if (key === "updatedAt") continue;
+    const from = before?.[key];
+    const to = after?.[key];
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[key] = { from: from ?? null, to: to ?? null };
+    }
+  }
+  return changes;
+};
+
+// Record one mutation. `before` and `after` may be documents or plain objects;
+// pass a snapshot taken before modifying the document as `before`.
+// Kegagalan menulis audit log tidak boleh menggagalkan request.
+const recordAudit = async (req, { action, entityType, entityId, before, after, actor }) => {
+  try {
+    const beforeSnapshot = toSnapshot(before);
+    const afterSnapshot = toSnapshot(after);
+    const actingUser = actor || req.user;
+
+    await AuditLog.create({
+      actor: actingUser?._id || null,
+      actorRole: actingUser?.role,
+      action,
+      entityType,
+      entityId: entityId || afterSnapshot?._id || beforeSnapshot?._id || null,
+      before: beforeSnapshot,
+      after: afterSnapshot,
+      changes: diffSnapshots(beforeSnapshot, afterSnapshot),
+      ip: req.ip,
+      userAgent: req.headers?.["user-agent"],
+    });
+  } catch (error) {
+    console.error("Failed to write audit log:", error.message);
+  }
+};
+
+module.exports = { recordAudit, toSnapshot, diffSnapshots };
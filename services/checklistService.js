@@ -0,0 +1,130 @@
+const idOf = (value) => {
+  if (!value) return null;
+  return (value._id || value).toString();
+};
+
+const findPrevious = (previous, item) =>
+  (item._id && previous.find((prev) => prev._id?.toString() === item._id.toString())) ||
+  previous.find((prev) => prev.text === item.text);
+
+// Normalise an incoming checklist against the stored one. Completion metadata
+// is always set server side: newly ticked items get the actor and a timestamp,
+// items that stay ticked keep their original completedBy/completedAt.
+const buildChecklist = (incoming, previous = [], actorId) =>
+  (incoming || []).map((raw) => {
+    const item = typeof raw === "string" ? { text: raw } : raw;
+    const prev = findPrevious(previous, item);
+    const completed = Boolean(item.completed);
+    const wasCompleted = Boolean(prev?.completed);
+
+    return {
+      ...(prev?._id ? { _id: prev._id } : {}),
+      text: item.text,
+      note: item.note !== undefined ? item.note : prev?.note || "",
+      completed,
+      assignedTo:
+        item.assignedTo !== undefined ? idOf(item.assignedTo) : idOf(prev?.assignedTo),
+      completedBy: completed ? (wasCompleted ? prev.completedBy : actorId) : null,
+      completedAt: completed ? (wasCompleted ? prev.completedAt : new Date()) : null,
+    };
+  });
+
+// item yang di-assign ke user yang bukan assignee task
+const findInvalidItemAssignees = (checklist, taskAssignees) => {
+  const allowed = new Set(taskAssignees.map(idOf));
+  return checklist
+    .filter((item) => item.assignedTo && !allowed.has(idOf(item.assignedTo)))
+    .map((item) => item.text);
+};
+
+// Assignees may only tick or untick their own items and shared items, can't
+// move items between people, can't remove a coworker's item (by leaving it
+// out of the list) and can't add items for someone else.
+// Returns the texts of offending items.
+const findForeignItemChanges = (checklist, previous, actorId, taskAssignees) => {
+  const actor = idOf(actorId);
+  if (!taskAssignees.map(idOf).includes(actor)) {
+    return [];
+  }
+  const isForeign = (owner) => Boolean(owner) && owner !== actor;
+
+  const changed = checklist
+    .filter((item) => {
+      const prev = findPrevious(previous, item);
+      if (!prev) return isForeign(idOf(item.assignedTo));
+      if (idOf(prev.assignedTo) !== idOf(item.assignedTo)) return true;
+      if (!isForeign(idOf(prev.assignedTo))) return false;
+      return Boolean(prev.completed) !== item.completed;
+    })
+    .map((item) => item.text);
+
+  const keptIds = new Set(checklist.map((item) => idOf(item._id)).filter(Boolean));
+  const removed = previous
+    .filter((prev) => isForeign(idOf(prev.assignedTo)) && !keptIds.has(idOf(prev._id)))
+    .map((prev) => prev.text);
+
+  return [...changed, ...removed];
+};
+
+// Unticked items that belong to another assignee. An assignee completing the
+// task would tick these on their behalf, so that is refused while any remain.
+const findOpenForeignItems = (checklist, actorId, taskAssignees) => {
+  const actor = idOf(actorId);
+  if (!taskAssignees.map(idOf).includes(actor)) {
+    return [];
+  }
+  return checklist
+    .filter((item) => !item.completed && item.assignedTo && idOf(item.assignedTo) !== actor)
+    .map((item) => item.text);
+};
+
+// drop item assignments for users that are no longer on the task
+const unassignRemovedUsers = (checklist, taskAssignees) => {
+  const allowed = new Set(taskAssignees.map(idOf));
+  checklist.forEach((item) => {
+    if (item.assignedTo && !allowed.has(idOf(item.assignedTo))) {
+      item.assignedTo = null;
+    }
+  });
+};
+
+const percent = (done, total) => (total > 0 ? Math.round((done / total) * 100) : 0);
+
+// overall progress plus a breakdown per assignee
+const computeProgress = (task) => {
+  const checklist = task.todoChecklist || [];
+  const completed = checklist.filter((item) => item.completed).length;
+
+  const byAssignee = (task.assignedTo || []).map((assignee) => {
+    const userId = idOf(assignee);
+    const items = checklist.filter((item) => idOf(item.assignedTo) === userId);
+    const done = items.filter((item) => item.completed).length;
+    return {
+      user: userId,
+      totalItems: items.length,
+      completedItems: done,
+      progress: percent(done, items.length),
+      // includes shared items this user ticked
+      completedByUser: checklist.filter((item) => idOf(item.completedBy) === userId).length,
+    };
+  });
+
+  const shared = checklist.filter((item) => !item.assignedTo);
+  return {
+    overall: percent(completed, checklist.length),
+    byAssignee,
+    shared: {
+      totalItems: shared.length,
+      completedItems: shared.filter((item) => item.completed).length,
+    },
+  };
+};
+
+module.exports = {
+  buildChecklist,
+  findInvalidItemAssignees,
+  findForeignItemChanges,
+  findOpenForeignItems,
+  unassignRemovedUsers,
+  computeProgress,
+};
@@ -0,0 +1,190 @@
+const mongoose = require("mongoose");
+const Task = require("../models/Task");
+const User = require("../models/User");
+const UserUnavailability = require("../models/UserUnavailability");
+const { recordTaskActivity } = require("./taskActivityService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OPEN_STATUSES = ["Pending Approval", "Pending", "In Progress"];
+// dua task dianggap di lokasi yang sama bila jaraknya kurang dari ini
+const SAME_SITE_RADIUS_M = 200;
+const MIN_JUSTIFICATION_LENGTH = 10;
+
+const toId = (value) => (value?._id || value).toString();
+
+// hari kalender (UTC) dari due date
+const dayBounds = (date) => {
+  const start = new Date(date);
+  start.setUTCHours(0, 0, 0, 0);
+  return { start, end: new Date(start.getTime() + DAY_MS) };
+};
+
+const distanceMeters = (a, b) => {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(h));
+};
+
+const hasCoordinates = (location) =>
+  typeof location?.lat === "number" && typeof location?.lng === "number";
+
+// A user shouldn't get a second High task due the same day from another admin.
+const findHighPriorityClashes = async (candidate, assignees, actorId, day) => {
+  if (candidate.priority !== "High" || assignees.length === 0) return [];
+  const tasks = await Task.find({
+    ...(candidate._id ? { _id: { $ne: candidate._id } } : {}),
+    assignedTo: { $in: assignees },
+    priority: "High",
+    status: { $in: OPEN_STATUSES },
+    dueDate: { $gte: day.start, $lt: day.end },
+    assignedBy: { $ne: actorId },
+  })
+    .select("title assignedTo assignedBy dueDate")
+    .populate("assignedBy", "name");
+
+  const assigneeIds = assignees.map(toId);
+  return tasks.flatMap((task) =>
+    task.assignedTo
+      .filter((userId) => assigneeIds.includes(toId(userId)))
+      .map((userId) => ({
+        type: "high_priority_same_day",
+        userId: toId(userId),
+        task: { _id: task._id, title: task.title, dueDate: task.dueDate },
+        assignedBy: task.assignedBy,
+        message: `User already has the High priority task "${task.title}" on this day from ${task.assignedBy?.name || "another admin"}`,
+      }))
+  );
+};
+
+// Another open task at the same site on the same day (field crews would overlap).
+const findLocationOverlaps = async (candidate, day) => {
+  if (!hasCoordinates(candidate.location)) return [];
+  const tasks = await Task.find({
+    ...(candidate._id ? { _id: { $ne: candidate._id } } : {}),
+    status: { $in: OPEN_STATUSES },
+    dueDate: { $gte: day.start, $lt: day.end },
+    "location.lat": { $ne: null },
+    "location.lng": { $ne: null },
+  })
+    .select("title location assignedTo dueDate")
+    .populate("assignedTo", "name");
+
+  return tasks
+    .filter((task) => hasCoordinates(task.location))
+    .map((task) => ({ task, distance: distanceMeters(candidate.location, task.location) }))
+    .filter(({ distance }) => distance <= SAME_SITE_RADIUS_M)
+    .map(({ task, distance }) => ({
+      type: "location_overlap",
+      task: { _id: task._id, title: task.title, dueDate: task.dueDate },
+      assignedTo: task.assignedTo.map((user) => ({ _id: user._id, name: user.name })),
+      distanceMeters: Math.round(distance),
+      message: `"${task.title}" is scheduled at the same site on this day`,
+    }));
+};
+
+// Assignees on leave / sick / training that day, or whose account isn't active.
+const findUnavailableUsers = async (assignees, day) => {
+  if (assignees.length === 0) return [];
+  const [periods, inactiveUsers] = await Promise.all([
+    UserUnavailability.find({
+      user: { $in: assignees },
+      startDate: { $lt: day.end },
+      endDate: { $gte: day.start },
+    }),
+    User.find({ _id: { $in: assignees }, status: { $ne: "active" } }).select("name status"),
+  ]);
+
+  return [
+    ...periods.map((period) => ({
+      type: "user_unavailable",
+      userId: toId(period.user),
+      reason: period.reason,
+      from: period.startDate,
+      to: period.endDate,
+      message: `User is unavailable (${period.reason}) on this day`,
+    })),
+    ...inactiveUsers.map((user) => ({
+      type: "user_unavailable",
+      userId: toId(user._id),
+      reason: user.status,
+      message: `${user.name}'s account is ${user.status}`,
+    })),
+  ];
+};
+
+// Structured scheduling conflicts for a task about to be created or updated.
+// `candidate` holds the task values after the change (priority, dueDate,
+// location, assignedTo and _id when updating).
+const detectConflicts = async (candidate, actor) => {
+  if (!candidate.dueDate || isNaN(new Date(candidate.dueDate).getTime())) {
+    return [];
+  }
+  const day = dayBounds(candidate.dueDate);
+  const assignees = (candidate.assignedTo || [])
+    .filter((id) => id && mongoose.isValidObjectId(toId(id)))
+    .map((id) => new mongoose.Types.ObjectId(toId(id)));
+
+  const [clashes, overlaps, unavailable] = await Promise.all([
+    findHighPriorityClashes(candidate, assignees, actor._id, day),
+    findLocationOverlaps(candidate, day),
+    findUnavailableUsers(assignees, day),
+  ]);
+  return [...clashes, ...overlaps, ...unavailable];
+};
+
+// override konflik butuh alasan tertulis; mengembalikan pesan error atau null
+const validateOverride = (override) => {
+  const justification = override?.justification?.trim();
+  if (!justification || justification.length < MIN_JUSTIFICATION_LENGTH) {
+    return `conflictOverride.justification must be at least ${MIN_JUSTIFICATION_LENGTH} characters`;
+  }
+  return null;
+};
+
+// Scheduling conflicts stop the save unless the request carries
+// conflictOverride: { justification }. Returns { override } (null when nothing
+// conflicts) or { error, status, conflicts }.
+const resolveConflicts = async (candidate, req) => {
+  const conflicts = await detectConflicts(candidate, req.user);
+  if (conflicts.length === 0) {
+    return { override: null };
+  }
+  const { conflictOverride } = req.body;
+  if (!conflictOverride) {
+    return {
+      error: "Scheduling conflicts found; pick another assignee or override with a justification",
+      status: 409,
+      conflicts,
+    };
+  }
+  const overrideError = validateOverride(conflictOverride);
+  if (overrideError) {
+    return { error: overrideError, status: 400, conflicts };
+  }
+  return {
+    override: {
+      conflicts,
+      justification: conflictOverride.justification.trim(),
+      overriddenBy: req.user._id,
+      overriddenAt: new Date(),
+    },
+  };
+};
+
+const recordConflictOverride = (task, override, req) =>
+  recordTaskActivity(req, {
+    task,
+    type: "conflicts_overridden",
+    details: { conflicts: override.conflicts, justification: override.justification },
+  });
+
+module.exports = {
+  detectConflicts,
+  validateOverride,
+  resolveConflicts,
+  recordConflictOverride,
+};
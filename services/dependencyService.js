@@ -0,0 +1,96 @@
+const Task = require("../models/Task");
+
+const MAX_GRAPH_NODES = 500;
+
+// blocker yang belum selesai untuk sebuah task
+const getOpenBlockers = async (task) => {
+  if (!task.blockedBy || task.blockedBy.length === 0) {
+    return [];
+  }
+  return Task.find({
+    _id: { $in: task.blockedBy },
+    status: { $ne: "Completed" },
+  }).select("title status dueDate");
+};
+
+// Adding "blockerId blocks taskId" creates a cycle when taskId is already
+// (transitively) a blocker of blockerId.
+const wouldCreateCycle = async (taskId, blockerId) => {
+  const target = taskId.toString();
+  if (blockerId.toString() === target) {
+    return true;
+  }
+
+  const visited = new Set();
+  let frontier = [blockerId.toString()];
+  while (frontier.length > 0) {
+    const tasks = await Task.find({ _id: { $in: frontier } }).select("blockedBy");
+    const next = [];
+    for (const task of tasks) {
+      for (const id of task.blockedBy.map(String)) {
+        if (id === target) return true;
+        if (!visited.has(id)) {
+          visited.add(id);
+          next.push(id);
+        }
+      }
+    }
+    frontier = next;
+  }
+  return false;
+};
+
+// Graph of the given tasks plus everything they transitively block or are
+// blocked by. Edges point from blocker to blocked task. Nodes outside
+// `visibilityFilter` (see teamService.getTaskVisibilityFilter) keep their place
+// in the graph but are redacted to { _id, hidden: true }.
+const getDependencyGraph = async (taskIds, visibilityFilter = {}) => {
+  const nodes = new Map();
+  let frontier = taskIds.map(String);
+
+  while (frontier.length > 0 && nodes.size < MAX_GRAPH_NODES) {
+    const [tasks, dependents] = await Promise.all([
+      Task.find({ _id: { $in: frontier } }).select("title status priority dueDate blockedBy"),
+      Task.find({ blockedBy: { $in: frontier } }).select("_id"),
+    ]);
+
+    tasks.forEach((task) => nodes.set(task._id.toString(), task));
+
+    const next = new Set();
+    tasks.forEach((task) => task.blockedBy.forEach((id) => next.add(id.toString())));
+    dependents.forEach((task) => next.add(task._id.toString()));
+    frontier = [...next].filter((id) => !nodes.has(id));
+  }
+
+  const edges = [];
+  nodes.forEach((task) => {
+    task.blockedBy.forEach((blockerId) => {
+      if (nodes.has(blockerId.toString())) {
+        edges.push({ from: blockerId.toString(), to: task._id.toString() });
+      }
+    });
+  });
+
+  const visible = await Task.find({
+    $and: [{ _id: { $in: [...nodes.keys()] } }, visibilityFilter],
+  }).select("_id");
+  const visibleIds = new Set(visible.map((task) => task._id.toString()));
+
+  return {
+    nodes: [...nodes.values()].map((task) =>
+      visibleIds.has(task._id.toString())
+        ? {
+            _id: task._id,
+            title: task.title,
+            status: task.status,
+            priority: task.priority,
+            dueDate: task.dueDate,
+          }
+        : { _id: task._id, hidden: true }
+    ),
+    edges,
+    truncated: nodes.size >= MAX_GRAPH_NODES,
+  };
+};
+
+module.exports = { getOpenBlockers, wouldCreateCycle, getDependencyGraph };
@@ -0,0 +1,55 @@
+// Store in-process untuk deployment single node.
+// Store lain (mis. Redis) cukup mengimplementasikan interface yang sama:
+//   get(key)               -> Promise<object|null>
+//   set(key, value, ttlMs) -> Promise<void>
+//   delete(key)            -> Promise<void>
+//
+// Keys come from request input (emails, IPs), so the Map must stay bounded:
+// expired entries are swept periodically and, past maxEntries, the oldest
+// entries are evicted first.
+const DEFAULT_SWEEP_INTERVAL_MS = 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 100000;
+
+const createMemoryStore = ({
+  sweepIntervalMs = DEFAULT_SWEEP_INTERVAL_MS,
+  maxEntries = DEFAULT_MAX_ENTRIES,
+} = {}) => {
+  const entries = new Map();
+
+  const sweep = () => {
+    const now = Date.now();
+    entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) entries.delete(key);
+    });
+  };
+  const timer = setInterval(sweep, sweepIntervalMs);
+  timer.unref();
+
+  return {
+    get: async (key) => {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+    set: async (key, value, ttlMs) => {
+      // re-insert so the Map's insertion order stays oldest-write first
+      entries.delete(key);
+      if (entries.size >= maxEntries) {
+        sweep();
+      }
+      while (entries.size >= maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    delete: async (key) => {
+      entries.delete(key);
+    },
+  };
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,81 @@
+const createMemoryStore = require("./limiterStores/memoryStore");
+
+const MINUTE = 60 * 1000;
+
+// batas percobaan login yang gagal sebelum dikunci sementara
+const limits = {
+  account: Number(process.env.LOGIN_MAX_ATTEMPTS_PER_ACCOUNT) || 5,
+  ip: Number(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 20,
+};
+const FAILURE_WINDOW_MS = 15 * MINUTE;
+const BASE_LOCKOUT_MS = (Number(process.env.LOGIN_BASE_LOCKOUT_MINUTES) || 1) * MINUTE;
+const MAX_LOCKOUT_MS = 60 * MINUTE;
+// lockout history is remembered this long, so repeat offenders keep doubling
+const LOCKOUT_MEMORY_MS = 24 * 60 * MINUTE;
+
+let store = createMemoryStore();
+
+// ganti store, mis. adapter Redis untuk deployment multi node
+const setStore = (customStore) => {
+  store = customStore;
+};
+
+const accountKey = (email) => `account:${String(email).toLowerCase().trim()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+// Returns the remaining lock time in ms for the given keys (0 when not locked)
+const getLockRemaining = async ({ email, ip }) => {
+  const now = Date.now();
+  let remaining = 0;
+  for (const key of [accountKey(email), ipKey(ip)]) {
+    const record = await store.get(key);
+    if (record?.lockedUntil && record.lockedUntil > now) {
+      remaining = Math.max(remaining, record.lockedUntil - now);
+    }
+  }
+  return remaining;
+};
+
+const recordKeyFailure = async (key, maxAttempts) => {
+  const now = Date.now();
+  const record = (await store.get(key)) || { failures: 0, lockouts: 0 };
+
+  record.failures += 1;
+  let lockedFor = 0;
+
+  if (record.failures >= maxAttempts) {
+    // exponential backoff: 1x, 2x, 4x ... dari durasi dasar
+    lockedFor = Math.min(BASE_LOCKOUT_MS * 2 ** record.lockouts, MAX_LOCKOUT_MS);
+    record.lockedUntil = now + lockedFor;
+    record.lockouts += 1;
+    record.failures = 0;
+  }
+
+  await store.set(key, record, record.lockouts > 0 ? LOCKOUT_MEMORY_MS : FAILURE_WINDOW_MS);
+  return lockedFor;
+};
+
+// mencatat login gagal untuk akun dan IP, mengembalikan info lockout baru
+const recordFailure = async ({ email, ip }) => {
+  return {
+    accountLockedFor: await recordKeyFailure(accountKey(email), limits.account),
+    ipLockedFor: await recordKeyFailure(ipKey(ip), limits.ip),
+  };
+};
+
+// login berhasil: riwayat gagal untuk akun ini dihapus
+const recordSuccess = async ({ email }) => {
+  await store.delete(accountKey(email));
+};
+
+const unlockAccount = async (email) => {
+  await store.delete(accountKey(email));
+};
+
+module.exports = {
+  setStore,
+  getLockRemaining,
+  recordFailure,
+  recordSuccess,
+  unlockAccount,
+};
@@ -0,0 +1,37 @@
+const createSmtpTransport = require("./mailTransports/smtpTransport");
+const createFileTransport = require("./mailTransports/fileTransport");
+const createConsoleTransport = require("./mailTransports/consoleTransport");
+
+// Every transport exposes the same shape: { name, send({ to, subject, text, html }) }.
+// MAIL_TRANSPORT selects one of the built-in transports; setTransport lets
+// tests or other modules plug in their own. Without MAIL_TRANSPORT only
+// development logs mail to the console, everywhere else real mail is sent over SMTP.
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const name =
+      process.env.MAIL_TRANSPORT ||
+      (process.env.NODE_ENV === "development" ? "console" : "smtp");
+    const factory = transports[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transport = factory();
+  }
+  return transport;
+};
+
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const sendMail = (message) => getTransport().send(message);
+
+module.exports = { sendMail, setTransport, getTransport };
@@ -0,0 +1,10 @@
+// mencetak email ke console, default untuk development lokal
+const createConsoleTransport = () => ({
+  name: "console",
+  send: async ({ to, subject, text }) => {
+    console.log(`[mail] to: ${to}\n[mail] subject: ${subject}\n${text}`);
+    return {};
+  },
+});
+
+module.exports = createConsoleTransport;
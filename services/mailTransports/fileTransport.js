@@ -0,0 +1,22 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+// menyimpan setiap email sebagai file .json, berguna untuk development & test
+const createFileTransport = () => {
+  const dir = process.env.MAIL_FILE_DIR || path.join(__dirname, "../../mails");
+
+  return {
+    name: "file",
+    send: async (message) => {
+      await fs.mkdir(dir, { recursive: true });
+      const filename = path.join(dir, `${Date.now()}-${message.to}.json`);
+      await fs.writeFile(
+        filename,
+        JSON.stringify({ ...message, from: process.env.MAIL_FROM }, null, 2)
+      );
+      return { filename };
+    },
+  };
+};
+
+module.exports = createFileTransport;
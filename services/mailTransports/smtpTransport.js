@@ -0,0 +1,30 @@
+const nodemailer = require("nodemailer");
+
+// transport untuk production, konfigurasi diambil dari environment
+const createSmtpTransport = () => {
+  if (!process.env.SMTP_HOST) {
+    throw new Error("SMTP_HOST is required for the smtp mail transport");
+  }
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return {
+    name: "smtp",
+    send: ({ to, subject, text, html }) =>
+      transporter.sendMail({
+        from: process.env.MAIL_FROM,
+        to,
+        subject,
+        text,
+        html,
+      }),
+  };
+};
+
+module.exports = createSmtpTransport;
@@ -0,0 +1,61 @@
+const User = require("../models/User");
+const { can } = require("./permissionService");
+const { getTeamScope } = require("./teamService");
+
+// token @mention: huruf, angka, titik, garis bawah dan strip, mis. @budi.santoso
+const MENTION_PATTERN = /(?:^|[^\w@])@([\w.-]+)/g;
+
+const normalize = (value) => String(value || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const extractMentionTokens = (text) => {
+  const tokens = new Set();
+  for (const match of String(text || "").matchAll(MENTION_PATTERN)) {
+    const token = normalize(match[1]);
+    if (token) tokens.add(token);
+  }
+  return [...tokens];
+};
+
+// at most this many distinct @tokens are looked up per comment
+const MAX_MENTION_TOKENS = 20;
+
+// Regex matching any stored value that normalizes to `token`: the token's
+// characters with optional punctuation / spaces between them.
+const tokenPattern = (token) => token.split("").join("[^a-z0-9]*");
+
+// Resolve @mentions to user ids. A token matches a user's full name with spaces
+// and punctuation removed (@budi.santoso, @BudiSantoso) or the local part of
+// their email (@budi for budi@company.com). Only users who can read `task`
+// are returned; mentioning anyone else is ignored.
+const resolveMentions = async (text, task) => {
+  const tokens = extractMentionTokens(text).slice(0, MAX_MENTION_TOKENS);
+  if (tokens.length === 0) {
+    return [];
+  }
+
+  const candidates = await User.find({
+    status: { $ne: "deactivated" },
+    $or: tokens.flatMap((token) => [
+      { name: { $regex: `^[^a-z0-9]*${tokenPattern(token)}[^a-z0-9]*$`, $options: "i" } },
+      { email: { $regex: `^${tokenPattern(token)}[^a-z0-9@]*@`, $options: "i" } },
+    ]),
+  }).select("name email role");
+
+  const mentioned = candidates.filter((user) => {
+    const name = normalize(user.name);
+    const emailLocal = normalize(String(user.email).split("@")[0]);
+    return tokens.includes(name) || tokens.includes(emailLocal);
+  });
+
+  const visibleTo = [];
+  for (const user of mentioned) {
+    // scope "team" di permission butuh team scope user yang sudah di-cache
+    await getTeamScope(user);
+    if (can(user, "task:read", task)) {
+      visibleTo.push(user._id);
+    }
+  }
+  return visibleTo;
+};
+
+module.exports = { extractMentionTokens, resolveMentions };
@@ -0,0 +1,66 @@
+const { PERMISSIONS, ROLE_PERMISSIONS } = require("../config/permissions");
+
+const idEquals = (a, b) => Boolean(a && b) && (a._id || a).toString() === (b._id || b).toString();
+
+// kondisi kepemilikan untuk permission dengan scope
+const conditions = {
+  own: (user, resource) =>
+    idEquals(resource.assignedBy || resource.createdBy || resource.assignedByAdminId, user._id),
+  assigned: (user, resource) =>
+    (resource.assignedTo || []).some((id) => idEquals(id, user._id)),
+  recipient: (user, resource) => idEquals(resource.assignedToUserId, user._id),
+  self: (user, resource) => idEquals(resource, user._id),
+  author: (user, resource) => idEquals(resource.author, user._id),
+  owner: (user, resource) => idEquals(resource.user, user._id),
+  // user.teamScope is loaded by teamService.getTeamScope (null = not restricted)
+  team: (user, resource) => {
+    if (user.teamScope === undefined) return false;
+    if (user.teamScope === null) return true;
+    return (
+      idEquals(resource.assignedBy, user._id) ||
+      (resource.assignedTo || []).some((id) => user.teamScope.has((id._id || id).toString()))
+    );
+  },
+};
+
+const getEffectivePermissions = (role) => {
+  // 'member' is a legacy alias of 'user'
+  const normalizedRole = role === "member" ? "user" : role;
+  return [...(ROLE_PERMISSIONS[normalizedRole] || [])];
+};
+
+// true when the role holds `action` on every resource (unscoped or ":any")
+const hasUnscopedPermission = (user, action) => {
+  const permissions = getEffectivePermissions(user?.role);
+  return permissions.includes(action) || permissions.includes(`${action}:any`);
+};
+
+// scope yang dimiliki role untuk action ini, mis. ["own"] untuk task:update:own
+const getScopes = (user, action) =>
+  getEffectivePermissions(user?.role)
+    .filter((permission) => permission.startsWith(`${action}:`))
+    .map((permission) => permission.slice(action.length + 1))
+    .filter((scope) => conditions[scope]);
+
+// Can `user` perform `action`? Without a resource only unscoped permissions count;
+// with a resource, scoped permissions are evaluated against it.
+const can = (user, action, resource) => {
+  if (!user) return false;
+  if (hasUnscopedPermission(user, action)) return true;
+  if (!resource) return false;
+  return getScopes(user, action).some((scope) => conditions[scope](user, resource));
+};
+
+const getPermissionMatrix = () =>
+  Object.keys(ROLE_PERMISSIONS).reduce((acc, role) => {
+    acc[role] = getEffectivePermissions(role);
+    return acc;
+  }, {});
+
+module.exports = {
+  PERMISSIONS,
+  can,
+  getScopes,
+  getEffectivePermissions,
+  getPermissionMatrix,
+};
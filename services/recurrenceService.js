@@ -0,0 +1,387 @@
+const Task = require("../models/Task");
+const TaskSeries = require("../models/TaskSeries");
+const { recordAudit } = require("./auditService");
+const { recordTaskActivity } = require("./taskActivityService");
+const { evaluateAssignment } = require("./workloadService");
+const { detectConflicts } = require("./conflictService");
+const { openAssignmentRequest } = require("./assignmentRequestService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const SCHEDULER_INTERVAL_MS =
+  (Number(process.env.RECURRENCE_CHECK_INTERVAL_MINUTES) || 15) * 60 * 1000;
+
+// request palsu untuk audit/timeline dari proses scheduler (actor = System)
+const SYSTEM_REQUEST = { headers: {} };
+
+// RFC 5545 UNTIL (20250105T235959Z) or an ISO date / timestamp. A date
+// without a time includes the whole day, so the last day's occurrence is kept.
+const parseUntil = (value) => {
+  if (value instanceof Date) {
+    return value;
+  }
+  const text = String(value).trim();
+  const compact = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/i.exec(text);
+  if (compact) {
+    const [, year, month, day, hours, minutes, seconds] = compact.map(Number);
+    return compact[4] === undefined
+      ? new Date(Date.UTC(year, month - 1, day, 23, 59, 59, 999))
+      : new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    return new Date(`${text}T23:59:59.999Z`);
+  }
+  return new Date(text);
+};
+
+// Accept either a rule object or an RRULE-like string such as
+// "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=10". Returns { rule } or { error }.
+const parseRule = (input) => {
+  if (!input) {
+    return { error: "Recurrence rule is required" };
+  }
+
+  let rule = input;
+  if (typeof input === "string") {
+    rule = {};
+    for (const part of input.replace(/^RRULE:/i, "").split(";")) {
+      const [key, value] = part.split("=");
+      if (!value) continue;
+      switch (key.toUpperCase()) {
+        case "FREQ":
+          rule.frequency = value.toLowerCase();
+          break;
+        case "INTERVAL":
+          rule.interval = Number(value);
+          break;
+        case "BYDAY":
+          rule.byWeekday = value.split(",").map((day) => WEEKDAYS.indexOf(day.toUpperCase()));
+          break;
+        case "BYMONTHDAY":
+          rule.byMonthDay = Number(value);
+          break;
+        case "UNTIL":
+          rule.until = value;
+          break;
+        case "COUNT":
+          rule.count = Number(value);
+          break;
+        default:
+          break;
+      }
+    }
+  }
+
+  const normalized = {
+    frequency: rule.frequency,
+    interval: rule.interval ? Number(rule.interval) : 1,
+    byWeekday: Array.isArray(rule.byWeekday) ? rule.byWeekday.map(Number) : [],
+    byMonthDay: rule.byMonthDay ? Number(rule.byMonthDay) : null,
+    until: rule.until ? parseUntil(rule.until) : null,
+    // count 0 must reach the positive-integer check below, not mean "unlimited"
+    count: rule.count !== undefined && rule.count !== null ? Number(rule.count) : null,
+  };
+
+  if (!["daily", "weekly", "monthly"].includes(normalized.frequency)) {
+    return { error: "frequency must be daily, weekly or monthly" };
+  }
+  if (!Number.isInteger(normalized.interval) || normalized.interval < 1) {
+    return { error: "interval must be a positive integer" };
+  }
+  if (normalized.byWeekday.some((day) => !Number.isInteger(day) || day < 0 || day > 6)) {
+    return { error: "byWeekday must contain weekdays 0 (Sunday) to 6 (Saturday)" };
+  }
+  if (normalized.byMonthDay !== null && !(normalized.byMonthDay >= 1 && normalized.byMonthDay <= 31)) {
+    return { error: "byMonthDay must be between 1 and 31" };
+  }
+  if (normalized.until && isNaN(normalized.until.getTime())) {
+    return { error: "until must be a valid date" };
+  }
+  if (normalized.count !== null && !(Number.isInteger(normalized.count) && normalized.count >= 1)) {
+    return { error: "count must be a positive integer" };
+  }
+  return { rule: normalized };
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// The first occurrence strictly after `after`, anchored on `start` (the first
+// due date of the series). Time of day is taken from `start`. Works in UTC.
+const computeNextDate = (rule, start, after) => {
+  const startDate = new Date(start);
+  const afterDate = new Date(after);
+  if (afterDate < startDate) {
+    return startDate;
+  }
+  const interval = rule.interval || 1;
+
+  if (rule.frequency === "daily" || (rule.frequency === "weekly" && !rule.byWeekday?.length)) {
+    const stepMs = (rule.frequency === "daily" ? 1 : 7) * interval * DAY_MS;
+    const steps = Math.floor((afterDate - startDate) / stepMs) + 1;
+    return new Date(startDate.getTime() + steps * stepMs);
+  }
+
+  if (rule.frequency === "weekly") {
+    const timeOfDay = startDate.getTime() % DAY_MS;
+    const startDay = Math.floor(startDate.getTime() / DAY_MS);
+    const weekStartDay = startDay - startDate.getUTCDay();
+    let day = Math.floor(afterDate.getTime() / DAY_MS);
+    // at most two full cycles need to be scanned to find a match
+    for (let i = 0; i <= 14 * interval; i++, day++) {
+      const candidate = new Date(day * DAY_MS + timeOfDay);
+      if (candidate <= afterDate || candidate < startDate) continue;
+      const week = Math.floor((day - weekStartDay) / 7);
+      if (week % interval === 0 && rule.byWeekday.includes(candidate.getUTCDay())) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+
+  // monthly
+  const dayOfMonth = rule.byMonthDay || startDate.getUTCDate();
+  const monthsBetween =
+    (afterDate.getUTCFullYear() - startDate.getUTCFullYear()) * 12 +
+    (afterDate.getUTCMonth() - startDate.getUTCMonth());
+  let k = Math.max(Math.floor(monthsBetween / interval), 0);
+  for (let i = 0; i < 3; i++, k++) {
+    const monthIndex = startDate.getUTCMonth() + k * interval;
+    const year = startDate.getUTCFullYear() + Math.floor(monthIndex / 12);
+    const month = ((monthIndex % 12) + 12) % 12;
+    // tanggal 31 di bulan pendek jatuh ke hari terakhir bulan itu
+    const candidate = new Date(
+      Date.UTC(
+        year,
+        month,
+        Math.min(dayOfMonth, daysInMonth(year, month)),
+        startDate.getUTCHours(),
+        startDate.getUTCMinutes(),
+        startDate.getUTCSeconds()
+      )
+    );
+    if (candidate > afterDate && candidate >= startDate) {
+      return candidate;
+    }
+  }
+  return null;
+};
+
+// Next due date after `after` that still respects UNTIL and COUNT, or null
+const nextOccurrence = (series, after, occurrenceCount) => {
+  const { rule } = series;
+  if (rule.count && occurrenceCount >= rule.count) {
+    return null;
+  }
+  const next = computeNextDate(rule, series.startDate, after);
+  if (!next || (rule.until && next > rule.until)) {
+    return null;
+  }
+  return next;
+};
+
+// Create the next task instance of a series. The series is claimed with an
+// atomic update on occurrenceCount, so concurrent triggers create one instance.
+const generateNextInstance = async (series, req = SYSTEM_REQUEST) => {
+  if (!series.active || !series.nextDueDate) {
+    return null;
+  }
+
+  const dueDate = series.nextDueDate;
+  const occurrence = series.occurrenceCount + 1;
+  const following = nextOccurrence(series, dueDate, occurrence);
+
+  const claimed = await TaskSeries.findOneAndUpdate(
+    { _id: series._id, active: true, occurrenceCount: series.occurrenceCount },
+    {
+      occurrenceCount: occurrence,
+      lastDueDate: dueDate,
+      nextDueDate: following,
+      ...(following ? {} : { active: false, stoppedAt: new Date() }),
+    },
+    { new: true }
+  );
+  if (!claimed) {
+    return null;
+  }
+
+  // The workload and conflict checks of createTask, without anyone around to
+  // confirm or override: assignees who are overloaded or have a conflict that
+  // day get an assignment request from the series creator instead. Location
+  // overlaps aren't tied to an assignee, the series creator accepted the site.
+  const candidate = {
+    priority: series.priority,
+    dueDate,
+    location: series.location,
+    assignedTo: series.assignedTo,
+  };
+  const [{ overloaded }, conflicts] = await Promise.all([
+    evaluateAssignment(series.assignedTo, candidate),
+    detectConflicts(candidate, { _id: series.assignedBy || series.createdBy }),
+  ]);
+  const held = new Set([
+    ...overloaded.map((id) => id.toString()),
+    ...conflicts.filter((conflict) => conflict.userId).map((conflict) => conflict.userId),
+  ]);
+  const assignees = series.assignedTo.map((id) => id.toString());
+  const itemAssignees = series.todoChecklistAssignees || [];
+
+  const task = await Task.create({
+    title: series.title,
+    description: series.description,
+    priority: series.priority,
+    dueDate,
+    assignedTo: series.assignedTo.filter((id) => !held.has(id.toString())),
+    assignedBy: series.assignedBy,
+    createdBy: series.createdBy,
+    location: series.location,
+    attachments: series.attachments,
+    // item untuk user yang sudah tidak ada di series menjadi item bersama
+    todoChecklist: series.todoChecklist.map((text, index) => {
+      const assignedTo = itemAssignees[index];
+      return {
+        text,
+        assignedTo: assignedTo && assignees.includes(assignedTo.toString()) ? assignedTo : null,
+      };
+    }),
+    series: series._id,
+    occurrence,
+  });
+
+  await recordAudit(req, {
+    action: "task.create",
+    entityType: "Task",
+    after: task,
+  });
+  await recordTaskActivity(req, {
+    task,
+    type: "created",
+    details: { seriesId: series._id, occurrence },
+  });
+
+  for (const userId of held) {
+    await openAssignmentRequest(task, userId, series.createdBy, req);
+  }
+
+  return task;
+};
+
+// generateOn / leadTimeDays are optional; returns an error message or null
+const validateScheduleOptions = ({ generateOn, leadTimeDays } = {}) => {
+  if (generateOn !== undefined && !["completion", "schedule"].includes(generateOn)) {
+    return "generateOn must be completion or schedule";
+  }
+  if (leadTimeDays !== undefined && !(Number.isInteger(leadTimeDays) && leadTimeDays >= 0)) {
+    return "leadTimeDays must be a non-negative integer";
+  }
+  return null;
+};
+
+// Turn an existing task into occurrence #1 of a new series.
+// `options` = { rule, generateOn, leadTimeDays }. Returns { series } or { error }.
+const createSeriesFromTask = async (task, options, user) => {
+  const { rule, error } = parseRule(options.rule);
+  if (error) {
+    return { error };
+  }
+  const optionsError = validateScheduleOptions(options);
+  if (optionsError) {
+    return { error: optionsError };
+  }
+
+  const series = new TaskSeries({
+    title: task.title,
+    description: task.description,
+    priority: task.priority,
+    assignedTo: task.assignedTo,
+    assignedBy: task.assignedBy,
+    createdBy: user._id,
+    location: task.location,
+    attachments: task.attachments,
+    todoChecklist: task.todoChecklist.map((item) => item.text),
+    todoChecklistAssignees: task.todoChecklist.map((item) => item.assignedTo || null),
+    rule,
+    startDate: task.dueDate,
+    generateOn: options.generateOn || "completion",
+    leadTimeDays: options.leadTimeDays ?? 1,
+    occurrenceCount: 1,
+    lastDueDate: task.dueDate,
+  });
+  series.nextDueDate = nextOccurrence(series, task.dueDate, 1);
+  if (!series.nextDueDate) {
+    series.active = false;
+    series.stoppedAt = new Date();
+  }
+
+  await series.validate();
+  await series.save();
+
+  task.series = series._id;
+  task.occurrence = 1;
+  await task.save();
+
+  return { series };
+};
+
+// dipanggil setiap kali task berstatus Completed
+const handleTaskCompleted = async (task, req = SYSTEM_REQUEST) => {
+  if (!task.series) {
+    return null;
+  }
+  const series = await TaskSeries.findById(task.series);
+  // only the latest instance of a completion-driven series triggers the next one
+  if (
+    !series ||
+    series.generateOn !== "completion" ||
+    task.occurrence !== series.occurrenceCount
+  ) {
+    return null;
+  }
+  return generateNextInstance(series, req);
+};
+
+// buat instance untuk seri "schedule" yang sudah masuk waktu lead time nya
+const runScheduledGeneration = async () => {
+  const now = Date.now();
+  const candidates = await TaskSeries.find({
+    active: true,
+    generateOn: "schedule",
+    nextDueDate: { $ne: null },
+  });
+
+  let created = 0;
+  for (let series of candidates) {
+    // catch up on missed runs, but never more than a handful per series per tick
+    for (let i = 0; i < 10 && series?.active && series.nextDueDate; i++) {
+      const releaseAt = series.nextDueDate.getTime() - series.leadTimeDays * DAY_MS;
+      if (releaseAt > now) break;
+      const task = await generateNextInstance(series);
+      if (!task) break;
+      created += 1;
+      series = await TaskSeries.findById(series._id);
+    }
+  }
+  return created;
+};
+
+const startRecurrenceScheduler = () => {
+  const run = () =>
+    runScheduledGeneration().catch((error) =>
+      console.error("Recurrence scheduler failed:", error.message)
+    );
+  const timer = setInterval(run, SCHEDULER_INTERVAL_MS);
+  timer.unref();
+  run();
+  return timer;
+};
+
+module.exports = {
+  parseRule,
+  validateScheduleOptions,
+  computeNextDate,
+  nextOccurrence,
+  createSeriesFromTask,
+  generateNextInstance,
+  handleTaskCompleted,
+  runScheduledGeneration,
+  startRecurrenceScheduler,
+};
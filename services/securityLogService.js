@@ -0,0 +1,20 @@
+const SecurityLog = require("../models/SecurityLog");
+
+// menulis event keamanan; kegagalan menulis log tidak boleh menggagalkan request
+const logSecurityEvent = async (req, { event, email, user, actor, details }) => {
+  try {
+    await SecurityLog.create({
+      event,
+      email,
+      user: user || null,
+      actor: actor || null,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+      details,
+    });
+  } catch (error) {
+    console.error("Failed to write security log:", error.message);
+  }
+};
+
+module.exports = { logSecurityEvent };
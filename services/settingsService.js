@@ -0,0 +1,57 @@
+const SystemSetting = require("../models/SystemSetting");
+
+// nilai default dipakai selama superadmin belum menyimpan pengaturan
+const DEFAULTS = {
+  twoFactor: { requiredRoles: [] },
+  // admin hanya melihat & meng-assign anggota team yang dikelolanya
+  teamScope: { adminScopedToTeams: true },
+  // task di trash dihapus permanen setelah sekian hari
+  taskRetention: { days: 30 },
+  // Workload policy (services/workloadService.js). Defaults reproduce the old
+  // rule: a user with 2 open High tasks needs an assignment request.
+  workloadPolicy: {
+    priorityWeights: { Low: 0, Medium: 0, High: 1 },
+    // kalikan bobot dengan estimasi jam task (effortHours) bila true
+    useEffortEstimates: false,
+    defaultEffortHours: { Low: 2, Medium: 4, High: 8 },
+    // hanya task dengan due date dalam N hari ke depan (null = semua task terbuka)
+    windowDays: null,
+    defaultCapacity: 2,
+  },
+  // assignment request kedaluwarsa bila tidak dijawab dalam responseHours
+  // (null = tanpa batas); reminder dikirim reminderHoursBefore jam sebelumnya (0 = mati)
+  assignmentRequests: { responseHours: 48, reminderHoursBefore: 12 },
+};
+
+// settings are read on every authenticated request, so keep a short cache
+const CACHE_TTL_MS = 30 * 1000;
+const cache = new Map();
+
+const getSetting = async (key) => {
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  const setting = await SystemSetting.findOne({ key }).lean();
+  const value = { ...DEFAULTS[key], ...(setting?.value || {}) };
+  cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+  return value;
+};
+
+const updateSetting = async (key, value, updatedBy) => {
+  const setting = await SystemSetting.findOneAndUpdate(
+    { key },
+    { value, updatedBy },
+    { upsert: true, new: true }
+  );
+  cache.delete(key);
+  return setting;
+};
+
+const isTwoFactorRequired = async (role) => {
+  const { requiredRoles } = await getSetting("twoFactor");
+  return requiredRoles.includes(role);
+};
+
+module.exports = { getSetting, updateSetting, isTwoFactorRequired };
@@ -0,0 +1,251 @@
+const TaskActivity = require("../models/TaskActivity");
+const User = require("../models/User");
+const { toSnapshot } = require("./auditService");
+
+// field task yang dicatat di timeline
+const TRACKED_FIELDS = [
+  "title",
+  "description",
+  "priority",
+  "status",
+  "dueDate",
+  "assignedTo",
+  "location",
+  "attachments",
+  "progress",
+  "effortHours",
+];
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Per-item checklist diff. Items are matched by subdocument id, then by text,
+// because clients that resend the checklist without ids get new ids on save.
+const diffChecklist = (before = [], after = []) => {
+  const changes = [];
+  const unmatched = [...before];
+  const takeMatch = (predicate) => {
+    const index = unmatched.findIndex(predicate);
+    return index === -1 ? null : unmatched.splice(index, 1)[0];
+  };
+
+  after.forEach((item) => {
+    const previous =
+      takeMatch((candidate) => candidate._id && candidate._id === item._id) ||
+      takeMatch((candidate) => candidate.text === item.text);
+    if (!previous) {
+      changes.push({ field: "todoChecklist.added", from: null, to: item.text });
+      return;
+    }
+    if (Boolean(previous.completed) !== Boolean(item.completed)) {
+      changes.push({
+        field: "todoChecklist.completed",
+        from: { text: item.text, completed: Boolean(previous.completed) },
+        to: { text: item.text, completed: Boolean(item.completed) },
+      });
+    }
+    if (previous.text !== item.text) {
+      changes.push({ field: "todoChecklist.text", from: previous.text, to: item.text });
+    }
+    if (String(previous.assignedTo || "") !== String(item.assignedTo || "")) {
+      changes.push({
+        field: "todoChecklist.assignedTo",
+        from: { text: item.text, userId: previous.assignedTo || null },
+        to: { text: item.text, userId: item.assignedTo || null },
+      });
+    }
+    if ((previous.note || "") !== (item.note || "")) {
+      changes.push({
+        field: "todoChecklist.note",
+        from: { text: item.text, note: previous.note || "" },
+        to: { text: item.text, note: item.note || "" },
+      });
+    }
+  });
+
+  unmatched.forEach((item) => {
+    changes.push({ field: "todoChecklist.removed", from: item.text, to: null });
+  });
+
+  return changes;
+};
+
+// Field-level diff between two task snapshots (see auditService.toSnapshot)
+const diffTask = (before, after) => {
+  const changes = [];
+  TRACKED_FIELDS.forEach((field) => {
+    if (!sameValue(before?.[field], after?.[field])) {
+      changes.push({ field, from: before?.[field] ?? null, to: after?.[field] ?? null });
+    }
+  });
+  return changes.concat(diffChecklist(before?.todoChecklist, after?.todoChecklist));
+};
+
+// Record one entry on the task timeline. `before` should be a snapshot taken
+// before the task was modified. Kegagalan menulis timeline tidak menggagalkan request.
+const recordTaskActivity = async (req, { task, type, before, details }) => {
+  try {
+    const beforeSnapshot = before ? toSnapshot(before) : null;
+    const afterSnapshot = type === "deleted" ? null : toSnapshot(task);
+    const changes =
+      ["created", "deleted", "restored"].includes(type) || !beforeSnapshot
+        ? []
+        : diffTask(beforeSnapshot, afterSnapshot);
+
+    // update tanpa perubahan yang terlacak tidak perlu dicatat
+    if (["updated", "status_changed", "checklist_updated"].includes(type) && changes.length === 0) {
+      return;
+    }
+
+    await TaskActivity.create({
+      task: task._id,
+      actor: req.user?._id || null,
+      type,
+      changes,
+      details: details || null,
+    });
+  } catch (error) {
+    console.error("Failed to write task activity:", error.message);
+  }
+};
+
+const formatDate = (value) => (value ? new Date(value).toISOString().split("T")[0] : "none");
+
+const describeChange = (change, userNames) => {
+  const names = (ids) =>
+    (ids || []).map((id) => userNames.get(id.toString()) || "unknown user").join(", ") || "nobody";
+
+  switch (change.field) {
+    case "dueDate":
+      return `moved the due date from ${formatDate(change.from)} to ${formatDate(change.to)}`;
+    case "assignedTo": {
+      const from = (change.from || []).map(String);
+      const to = (change.to || []).map(String);
+      const added = to.filter((id) => !from.includes(id));
+      const removed = from.filter((id) => !to.includes(id));
+      const parts = [];
+      if (added.length) parts.push(`assigned ${names(added)}`);
+      if (removed.length) parts.push(`unassigned ${names(removed)}`);
+      return parts.join(" and ") || "reassigned the task";
+    }
+    case "todoChecklist.completed":
+      return `${change.to.completed ? "ticked" : "unticked"} "${change.to.text}"`;
+    case "todoChecklist.added":
+      return `added checklist item "${change.to}"`;
+    case "todoChecklist.removed":
+      return `removed checklist item "${change.from}"`;
+    case "todoChecklist.text":
+      return `renamed checklist item "${change.from}" to "${change.to}"`;
+    case "todoChecklist.assignedTo":
+      return change.to.userId
+        ? `assigned "${change.to.text}" to ${names([change.to.userId])}`
+        : `made "${change.to.text}" a shared item`;
+    case "todoChecklist.note":
+      return `updated the note on "${change.to.text}"`;
+    case "location":
+      return `changed the location to ${change.to?.address || "a new point"}`;
+    case "attachments":
+      return "updated the attachments";
+    case "description":
+      return "updated the description";
+    case "progress":
+      return `changed progress from ${change.from ?? 0}% to ${change.to ?? 0}%`;
+    case "effortHours":
+      return `changed the effort estimate from ${change.from ?? "none"} to ${change.to ?? "none"} hours`;
+    default:
+      return `changed ${change.field} from "${change.from ?? "none"}" to "${change.to ?? "none"}"`;
+  }
+};
+
+// kalimat timeline yang bisa dibaca manusia untuk satu activity
+const describeActivity = (activity, userNames) => {
+  const actor = activity.actor?.name || "System";
+  const subject = activity.details?.userId
+    ? userNames.get(activity.details.userId.toString()) || "a user"
+    : null;
+
+  switch (activity.type) {
+    case "created":
+      return [`${actor} created the task`];
+    case "deleted":
+      return [`${actor} moved the task to trash`];
+    case "restored":
+      return [`${actor} restored the task from trash`];
+    case "assignment_requested":
+      return [`${actor} requested ${subject} to take the task`];
+    case "assignment_approved":
+      return [`${actor} accepted the assignment`];
+    case "assignment_rejected":
+      return [
+        `${actor} rejected the assignment` +
+          (activity.details?.reason ? `: ${activity.details.reason}` : ""),
+      ];
+    case "assignment_expired":
+      return [
+        activity.details?.counterProposal
+          ? `The counter-proposal from ${subject} expired without an answer`
+          : `The assignment request for ${subject} expired without an answer`,
+      ];
+    case "assignment_withdrawn":
+      return [
+        `${actor} withdrew the assignment request for ${subject}` +
+          (activity.details?.reason ? `: ${activity.details.reason}` : ""),
+      ];
+    case "assignment_reminder_sent":
+      return [
+        activity.details?.counterProposal
+          ? `${subject} was reminded to answer the counter-proposal`
+          : `${subject} was reminded to respond to the assignment request`,
+      ];
+    case "assignment_countered": {
+      const { proposedDueDate, proposedPriority } = activity.details || {};
+      const terms = [
+        proposedDueDate ? `due date ${formatDate(proposedDueDate)}` : null,
+        proposedPriority ? `priority ${proposedPriority}` : null,
+      ].filter(Boolean);
+      return [`${actor} proposed ${terms.join(" and ")} before accepting the assignment`];
+    }
+    case "assignment_counter_accepted":
+      return [
+        `${actor} accepted the counter-proposal from ${subject}`,
+        ...activity.changes.map((change) => `${actor} ${describeChange(change, userNames)}`),
+      ];
+    case "assignment_counter_declined":
+      return [`${actor} declined the counter-proposal from ${subject}`];
+    case "dependency_added":
+      return [`${actor} marked the task as blocked by "${activity.details?.blockerTitle}"`];
+    case "dependency_removed":
+      return [`${actor} removed the blocker "${activity.details?.blockerTitle}"`];
+    case "conflicts_overridden":
+      return [
+        `${actor} overrode ${activity.details?.conflicts?.length || 0} scheduling conflict(s): ` +
+          activity.details?.justification,
+      ];
+    default:
+      return activity.changes.map((change) => `${actor} ${describeChange(change, userNames)}`);
+  }
+};
+
+// kumpulkan semua user id yang disebut di activity supaya nama bisa di-resolve sekaligus
+const resolveUserNames = async (activities) => {
+  const ids = new Set();
+  activities.forEach((activity) => {
+    if (activity.details?.userId) ids.add(activity.details.userId.toString());
+    activity.changes
+      .filter((change) => change.field === "assignedTo")
+      .forEach((change) => {
+        [...(change.from || []), ...(change.to || [])].forEach((id) => ids.add(id.toString()));
+      });
+    activity.changes
+      .filter((change) => change.field === "todoChecklist.assignedTo" && change.to?.userId)
+      .forEach((change) => ids.add(change.to.userId.toString()));
+  });
+  const users = await User.find({ _id: { $in: [...ids] } }).select("name");
+  return new Map(users.map((user) => [user._id.toString(), user.name]));
+};
+
+module.exports = {
+  recordTaskActivity,
+  describeActivity,
+  resolveUserNames,
+  diffTask,
+};
@@ -0,0 +1,102 @@
+const TaskAssignmentRequest = require("../models/TaskAssignmentRequest");
+const { TASK_STATUSES, TRANSITIONS } = require("../config/taskStatus");
+const { recordAudit, toSnapshot } = require("./auditService");
+const { recordTaskActivity } = require("./taskActivityService");
+
+// actor untuk perubahan status otomatis
+const SYSTEM_ACTOR = "system";
+
+const roleOf = (actor) => (actor === SYSTEM_ACTOR ? SYSTEM_ACTOR : actor?.role);
+
+// status tujuan yang boleh dipilih actor dari status sekarang
+const getAllowedTransitions = (from, actor) =>
+  Object.entries(TRANSITIONS[from] || {})
+    .filter(([, roles]) => roles.includes(roleOf(actor)))
+    .map(([to]) => to);
+
+// Validates a status change against the machine and applies it in memory.
+// The caller saves the task. Returns { changed } or { error, status }.
+const transitionTask = (task, to, actor) => {
+  if (!TASK_STATUSES.includes(to)) {
+    return { error: `Invalid task status "${to}"`, status: 400 };
+  }
+  const from = task.status;
+  if (from === to) {
+    return { changed: false };
+  }
+
+  const roles = TRANSITIONS[from]?.[to];
+  if (!roles) {
+    return { error: `Cannot change task status from ${from} to ${to}`, status: 400 };
+  }
+  if (!roles.includes(roleOf(actor))) {
+    return {
+      error: `Access denied: cannot change task status from ${from} to ${to}`,
+      status: 403,
+    };
+  }
+
+  task.status = to;
+  return { changed: true };
+};
+
+// Status a task should have given its assignment requests, or null when the
+// requests don't decide it. Tasks that already started (or were rejected and
+// have nothing new pending) are left alone.
+const deriveAssignmentStatus = (task, requests) => {
+  if (!["Pending Approval", "Pending", "Rejected"].includes(task.status)) {
+    return null;
+  }
+  if (requests.some((request) => request.status === "Pending")) {
+    return "Pending Approval";
+  }
+  if (task.status === "Rejected") {
+    return null;
+  }
+  if (task.assignedTo.length > 0) {
+    return "Pending";
+  }
+  if (requests.length > 0 && requests.every((request) => request.status === "Rejected")) {
+    return "Rejected";
+  }
+  // request yang expired / ditarik: task kembali menunggu assignee baru
+  if (
+    task.status === "Pending Approval" &&
+    requests.some((request) => ["Expired", "Withdrawn"].includes(request.status))
+  ) {
+    return "Pending";
+  }
+  return null;
+};
+
+// dipanggil setiap kali assignment request sebuah task berubah
+const syncAssignmentStatus = async (task, req) => {
+  const requests = await TaskAssignmentRequest.find({ taskId: task._id });
+  const target = deriveAssignmentStatus(task, requests);
+  if (!target || target === task.status) {
+    return task;
+  }
+
+  const before = toSnapshot(task);
+  const { error } = transitionTask(task, target, SYSTEM_ACTOR);
+  if (error) {
+    return task;
+  }
+  await task.save();
+  await recordAudit(req, {
+    action: "task.status.update",
+    entityType: "Task",
+    before,
+    after: task,
+  });
+  await recordTaskActivity(req, { task, type: "status_changed", before });
+  return task;
+};
+
+module.exports = {
+  SYSTEM_ACTOR,
+  getAllowedTransitions,
+  transitionTask,
+  deriveAssignmentStatus,
+  syncAssignmentStatus,
+};
@@ -0,0 +1,160 @@
+const mongoose = require("mongoose");
+const Team = require("../models/Team");
+const User = require("../models/User");
+const { can, getEffectivePermissions, getScopes } = require("./permissionService");
+const { getSetting } = require("./settingsService");
+
+// semua id team turunan (termasuk team itu sendiri)
+const getDescendantTeamIds = async (teamIds) => {
+  const result = new Set(teamIds.map((id) => id.toString()));
+  let frontier = [...result];
+  while (frontier.length > 0) {
+    const children = await Team.find({ parent: { $in: frontier } }).select("_id");
+    frontier = children
+      .map((child) => child._id.toString())
+      .filter((id) => !result.has(id));
+    frontier.forEach((id) => result.add(id));
+  }
+  return [...result];
+};
+
+// anggota dan manager dari team beserta sub-team nya
+const getTeamMemberIds = async (teamIds) => {
+  const allTeamIds = await getDescendantTeamIds(teamIds);
+  const teams = await Team.find({ _id: { $in: allTeamIds } }).select("members manager");
+  const memberIds = new Set();
+  teams.forEach((team) => {
+    team.members.forEach((id) => memberIds.add(id.toString()));
+    if (team.manager) memberIds.add(team.manager.toString());
+  });
+  return memberIds;
+};
+
+const getManagedTeamIds = async (userId) => {
+  const teams = await Team.find({ manager: userId }).select("_id");
+  return getDescendantTeamIds(teams.map((team) => team._id));
+};
+
+// Roles whose policy uses the "team" scope (admins) only see users of the teams
+// they manage. Returns null when the user is not restricted, otherwise a Set of
+// user ids. The result is cached on the user object for the current request.
+const getTeamScope = async (user) => {
+  if (user.teamScope !== undefined) {
+    return user.teamScope;
+  }
+
+  let scope = null;
+  const isTeamScoped = getEffectivePermissions(user.role).some((permission) =>
+    permission.endsWith(":team")
+  );
+  if (isTeamScoped) {
+    const { adminScopedToTeams } = await getSetting("teamScope");
+    if (adminScopedToTeams) {
+      scope = await getTeamMemberIds(await getManagedTeamIds(user._id));
+      scope.add(user._id.toString());
+    }
+  }
+
+  user.teamScope = scope;
+  return scope;
+};
+
+const isInTeamScope = (scope, userId) => !scope || scope.has(userId.toString());
+
+// Assignee list check shared by tasks and recurring series: an array of existing
+// users within the caller's team scope. Returns null or { error, status, ...details }.
+const validateAssignees = async (user, userIds) => {
+  if (!Array.isArray(userIds) || !userIds.every((id) => mongoose.isValidObjectId(id))) {
+    return { error: "assignedTo must be an array of user IDs", status: 400 };
+  }
+
+  const scope = await getTeamScope(user);
+  const outsideTeam = userIds.filter((id) => !isInTeamScope(scope, id));
+  if (outsideTeam.length > 0) {
+    return { error: "You can only assign users within your team", status: 403, users: outsideTeam };
+  }
+
+  const uniqueIds = [...new Set(userIds.map(String))];
+  const existing = await User.find({ _id: { $in: uniqueIds } }).select("_id");
+  const found = existing.map((existingUser) => existingUser._id.toString());
+  const missingUsers = uniqueIds.filter((id) => !found.includes(id));
+  if (missingUsers.length > 0) {
+    return { error: "One or more assigned users not found", status: 404, missingUsers };
+  }
+  return null;
+};
+
+// Resolve an optional ?team= filter into member ids. Team-scoped users may only
+// filter on teams they manage. Returns { memberIds } (null = no filter) or { error, status }.
+const resolveTeamFilter = async (user, teamId) => {
+  const scope = await getTeamScope(user);
+
+  if (!teamId) {
+    return { memberIds: scope };
+  }
+
+  const team = await Team.findById(teamId).select("_id");
+  if (!team) {
+    return { error: "Team not found", status: 404 };
+  }
+  if (scope) {
+    const managed = await getManagedTeamIds(user._id);
+    if (!managed.includes(team._id.toString())) {
+      return { error: "Access denied: not your team", status: 403 };
+    }
+  }
+  return { memberIds: await getTeamMemberIds([team._id]) };
+};
+
+const toObjectIds = (ids) => [...ids].map((id) => new mongoose.Types.ObjectId(id));
+
+// Mongo filter for the tasks `user` may see without a team filter.
+const getOwnVisibilityFilter = async (user) => {
+  if (can(user, "task:read")) {
+    return {};
+  }
+
+  if (getScopes(user, "task:read").includes("team")) {
+    const scope = await getTeamScope(user);
+    if (!scope) return {};
+    return {
+      $or: [
+        { assignedTo: { $in: toObjectIds(scope) } },
+        { assignedBy: new mongoose.Types.ObjectId(user._id.toString()) },
+      ],
+    };
+  }
+
+  return { assignedTo: new mongoose.Types.ObjectId(user._id.toString()) };
+};
+
+// Mongo filter for the tasks `user` may see, optionally narrowed to one team.
+// ?team= only narrows: it is ANDed with the caller's own visibility, so a
+// plain user filtering on a team still sees just their own tasks.
+// Ids are ObjectIds so the filter also works inside aggregate $match.
+// Returns { filter } or { error, status }.
+const getTaskVisibilityFilter = async (user, teamId) => {
+  const visible = await getOwnVisibilityFilter(user);
+  if (!teamId) {
+    return { filter: visible };
+  }
+
+  const { memberIds, error, status } = await resolveTeamFilter(user, teamId);
+  if (error) return { error, status };
+  const teamFilter = { assignedTo: { $in: toObjectIds(memberIds) } };
+  return {
+    filter: Object.keys(visible).length > 0 ? { $and: [visible, teamFilter] } : teamFilter,
+  };
+};
+
+module.exports = {
+  toObjectIds,
+  getTaskVisibilityFilter,
+  getDescendantTeamIds,
+  getTeamMemberIds,
+  getManagedTeamIds,
+  getTeamScope,
+  isInTeamScope,
+  validateAssignees,
+  resolveTeamFilter,
+};
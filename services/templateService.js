@@ -0,0 +1,98 @@
+// placeholder di template: {{site}}, {{ unit_no }}
+const PLACEHOLDER = /\{\{\s*([A-Za-z][A-Za-z0-9_]*)\s*\}\}/g;
+const PRIORITIES = ["Low", "Medium", "High"];
+
+const namesIn = (text) => [...String(text || "").matchAll(PLACEHOLDER)].map((match) => match[1]);
+
+// semua placeholder yang dipakai template, urut sesuai kemunculan
+const extractVariables = (content) => {
+  const texts = [
+    content.title,
+    content.description,
+    ...(content.todoChecklist || []).flatMap((item) => [item.text, item.note]),
+  ];
+  return [...new Set(texts.flatMap(namesIn))];
+};
+
+// only the caller's own keys count, so {{constructor}} etc. can't pick up Object.prototype
+const valueOf = (variables, name) => (Object.hasOwn(variables, name) ? variables[name] : undefined);
+
+const fill = (text, variables) =>
+  String(text || "").replace(PLACEHOLDER, (match, name) => String(valueOf(variables, name)));
+
+// Validate the versioned part of a template from a request body.
+// Returns { content } or { error }.
+const parseTemplateContent = (body, current = {}) => {
+  const content = {
+    title: body.title !== undefined ? body.title : current.title,
+    description: body.description !== undefined ? body.description : current.description,
+    priority: body.priority !== undefined ? body.priority : current.priority || "Medium",
+    todoChecklist:
+      body.todoChecklist !== undefined ? body.todoChecklist : current.todoChecklist || [],
+    defaultDueInDays:
+      body.defaultDueInDays !== undefined ? body.defaultDueInDays : current.defaultDueInDays ?? null,
+  };
+
+  if (!content.title || typeof content.title !== "string") {
+    return { error: "title is required" };
+  }
+  if (!PRIORITIES.includes(content.priority)) {
+    return { error: `priority must be one of: ${PRIORITIES.join(", ")}` };
+  }
+  if (!Array.isArray(content.todoChecklist)) {
+    return { error: "todoChecklist must be an array" };
+  }
+  if (
+    content.todoChecklist.some(
+      (item) =>
+        typeof item !== "string" &&
+        (item === null ||
+          typeof item !== "object" ||
+          typeof item.text !== "string" ||
+          (item.note !== undefined && item.note !== null && typeof item.note !== "string"))
+    )
+  ) {
+    return { error: "Checklist items must be strings or { text, note } objects" };
+  }
+  content.todoChecklist = content.todoChecklist.map((item) =>
+    typeof item === "string" ? { text: item, note: "" } : { text: item.text, note: item.note || "" }
+  );
+  if (content.todoChecklist.some((item) => !item.text)) {
+    return { error: "Every checklist item needs text" };
+  }
+  if (
+    content.defaultDueInDays !== null &&
+    (!Number.isInteger(content.defaultDueInDays) || content.defaultDueInDays < 0)
+  ) {
+    return { error: "defaultDueInDays must be a whole number of days" };
+  }
+
+  content.variables = extractVariables(content);
+  return { content };
+};
+
+// Fill the placeholders of a template (or template version).
+// Returns { fields } or { missing: [variable names without a value] }.
+const renderTemplate = (content, variables = {}) => {
+  const missing = (content.variables || []).filter((name) => {
+    const value = valueOf(variables, name);
+    return value === undefined || value === null || value === "";
+  });
+  if (missing.length > 0) {
+    return { missing };
+  }
+
+  return {
+    fields: {
+      title: fill(content.title, variables),
+      description: fill(content.description, variables),
+      priority: content.priority,
+      todoChecklist: (content.todoChecklist || []).map((item) => ({
+        text: fill(item.text, variables),
+        note: fill(item.note, variables),
+      })),
+    },
+  };
+};
+
+module.exports = { extractVariables, parseTemplateContent, renderTemplate };
@@ -0,0 +1,116 @@
+const TimeEntry = require("../models/TimeEntry");
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+// entry manual lebih dari ini hampir pasti salah input
+const MAX_ENTRY_MS = DAY_MS;
+
+const toMinutes = (ms) => Math.round(ms / MINUTE_MS);
+
+// Another entry of the same user overlapping [start, end). Running timers
+// count as lasting until now.
+const findOverlappingEntry = (userId, start, end, excludeId = null) =>
+  TimeEntry.findOne({
+    user: userId,
+    ...(excludeId ? { _id: { $ne: excludeId } } : {}),
+    startedAt: { $lt: end },
+    $or: [{ endedAt: { $gt: start } }, { endedAt: null }],
+  }).populate("task", "title");
+
+// validasi rentang waktu entry manual; mengembalikan pesan error atau null
+const validateRange = (start, end) => {
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    return "startedAt and endedAt must be valid dates";
+  }
+  if (end <= start) {
+    return "endedAt must be after startedAt";
+  }
+  if (end.getTime() - start.getTime() > MAX_ENTRY_MS) {
+    return "A single time entry cannot be longer than 24 hours";
+  }
+  if (end.getTime() > Date.now() + MINUTE_MS) {
+    return "Time entries cannot end in the future";
+  }
+  return null;
+};
+
+// Senin 00:00 (UTC) dari minggu yang memuat tanggal tersebut
+const getWeekBounds = (value) => {
+  const date = value ? new Date(value) : new Date();
+  if (isNaN(date.getTime())) {
+    return null;
+  }
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  return { start, end: new Date(start.getTime() + 7 * DAY_MS) };
+};
+
+// Weekly grid: one row per task with minutes per day (Mon..Sun). Entries that
+// cross midnight or the week boundary are split across the days they cover.
+const buildTimesheet = (entries, weekStart) => {
+  const weekEnd = weekStart.getTime() + 7 * DAY_MS;
+  const rows = new Map();
+  const dailyTotals = Array(7).fill(0);
+
+  entries.forEach((entry) => {
+    // task yang sudah di-purge tidak bisa di-populate lagi
+    const taskId = entry.task ? (entry.task._id || entry.task).toString() : "purged";
+    if (!rows.has(taskId)) {
+      rows.set(taskId, {
+        task: { _id: entry.task ? taskId : null, title: entry.task?.title || "Deleted task" },
+        minutes: Array(7).fill(0),
+        total: 0,
+      });
+    }
+    const row = rows.get(taskId);
+
+    let cursor = Math.max(entry.startedAt.getTime(), weekStart.getTime());
+    const stop = Math.min((entry.endedAt || new Date()).getTime(), weekEnd);
+    while (cursor < stop) {
+      const day = Math.floor((cursor - weekStart.getTime()) / DAY_MS);
+      const dayEnd = Math.min(weekStart.getTime() + (day + 1) * DAY_MS, stop);
+      const minutes = (dayEnd - cursor) / MINUTE_MS;
+      row.minutes[day] += minutes;
+      dailyTotals[day] += minutes;
+      cursor = dayEnd;
+    }
+  });
+
+  const round = (values) => values.map((value) => Math.round(value));
+  const sheetRows = [...rows.values()].map((row) => ({
+    task: row.task,
+    minutes: round(row.minutes),
+    total: Math.round(row.minutes.reduce((sum, value) => sum + value, 0)),
+  }));
+
+  return {
+    weekStart,
+    weekEnd: new Date(weekEnd),
+    days: Array.from({ length: 7 }, (_, i) =>
+      new Date(weekStart.getTime() + i * DAY_MS).toISOString().split("T")[0]
+    ),
+    rows: sheetRows,
+    dailyTotals: round(dailyTotals),
+    totalMinutes: Math.round(dailyTotals.reduce((sum, value) => sum + value, 0)),
+  };
+};
+
+// entries of one or more users that touch the given week
+const getEntriesForWeek = (userFilter, { start, end }) =>
+  TimeEntry.find({
+    ...userFilter,
+    startedAt: { $lt: end },
+    $or: [{ endedAt: { $gt: start } }, { endedAt: null }],
+  })
+    .sort({ startedAt: 1 })
+    // jam kerja pada task yang sudah di-trash tetap dihitung
+    .populate({ path: "task", select: "title", options: { withDeleted: true } });
+
+module.exports = {
+  toMinutes,
+  findOverlappingEntry,
+  validateRange,
+  getWeekBounds,
+  buildTimesheet,
+  getEntriesForWeek,
+};
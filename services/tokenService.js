@@ -0,0 +1,130 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const RefreshToken = require("../models/RefreshToken");
+const User = require("../models/User");
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// access token berumur pendek, membawa tokenVersion user saat diterbitkan
+const generateAccessToken = (user) => {
+  return jwt.sign(
+    { id: user._id, tv: user.tokenVersion || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+};
+
+// token sementara antara langkah password dan langkah kode 2FA saat login
+const generateTwoFactorToken = (user) => {
+  return jwt.sign({ id: user._id, purpose: "2fa" }, process.env.JWT_SECRET, {
+    expiresIn: "5m",
+  });
+};
+
+// returns the user id from a valid two-factor token, or null
+const verifyTwoFactorToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === "2fa" ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const createRefreshToken = async (user, req, family) => {
+  const token = crypto.randomBytes(40).toString("hex");
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family: family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: req?.ip,
+    userAgent: req?.headers?.["user-agent"],
+  });
+  return token;
+};
+
+// menerbitkan pasangan access + refresh token untuk login baru
+const issueTokens = async (user, req) => {
+  return {
+    token: generateAccessToken(user),
+    refreshToken: await createRefreshToken(user, req),
+  };
+};
+
+// Exchange a refresh token for a new pair. The old token is claimed (revoked)
+// atomically before anything is issued, so two concurrent refreshes with the
+// same token can't both succeed. If an already-rotated token is presented
+// again the whole family is revoked, since that means the token was copied.
+const rotateRefreshToken = async (token, req) => {
+  const tokenHash = hashToken(token);
+  const existing = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+  if (!existing) {
+    const revoked = await RefreshToken.findOne({ tokenHash });
+    if (!revoked) {
+      return { error: "Invalid refresh token" };
+    }
+    await RefreshToken.updateMany(
+      { family: revoked.family, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    return { error: "Refresh token has been revoked" };
+  }
+
+  if (existing.expiresAt <= new Date()) {
+    return { error: "Refresh token expired" };
+  }
+
+  const user = await User.findById(existing.user);
+  if (!user) {
+    return { error: "User not found" };
+  }
+  if (user.status && user.status !== "active") {
+    return { error: `Account is ${user.status}` };
+  }
+
+  const refreshToken = await createRefreshToken(user, req, existing.family);
+  await RefreshToken.updateOne(
+    { _id: existing._id },
+    { replacedByHash: hashToken(refreshToken) }
+  );
+
+  return { user, token: generateAccessToken(user), refreshToken };
+};
+
+const revokeRefreshToken = async (token) => {
+  const result = await RefreshToken.updateOne(
+    { tokenHash: hashToken(token), revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount > 0;
+};
+
+// mencabut semua sesi user: refresh token dicabut dan tokenVersion dinaikkan.
+// Caller is responsible for saving the user document afterwards.
+const revokeAllUserTokens = async (user) => {
+  await RefreshToken.updateMany(
+    { user: user._id, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  user.tokenVersion = (user.tokenVersion || 0) + 1;
+};
+
+module.exports = {
+  hashToken,
+  generateAccessToken,
+  generateTwoFactorToken,
+  verifyTwoFactorToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllUserTokens,
+};
@@ -0,0 +1,104 @@
+const crypto = require("crypto");
+
+// implementasi TOTP (RFC 6238) di atas HOTP (RFC 4226): HMAC-SHA1, 6 digit, periode 30 detik
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+// accept one step either side to tolerate clock drift on the phone
+const WINDOW = 1;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const hotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counterBuffer)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return code.toString().padStart(DIGITS, "0");
+};
+
+const currentStep = (time = Date.now()) => Math.floor(time / 1000 / PERIOD_SECONDS);
+
+const generateCode = (secret, time = Date.now()) => hotp(secret, currentStep(time));
+
+// Returns the matched time step, or null when the code is invalid.
+// Steps at or before lastUsedStep are rejected so a code cannot be replayed.
+const verifyCode = (secret, code, lastUsedStep = -1) => {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) {
+    return null;
+  }
+  const step = currentStep();
+  for (let i = -WINDOW; i <= WINDOW; i++) {
+    const candidate = step + i;
+    if (candidate <= lastUsedStep) continue;
+    const expected = hotp(secret, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return candidate;
+    }
+  }
+  return null;
+};
+
+// URI untuk QR code di aplikasi authenticator (Google Authenticator, Authy, dll)
+const buildOtpauthUri = (secret, accountName) => {
+  const issuer = process.env.TOTP_ISSUER || "Project Management";
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+};
@@ -0,0 +1,107 @@
+const fs = require("fs/promises");
+const path = require("path");
+const Task = require("../models/Task");
+const TaskAssignmentRequest = require("../models/TaskAssignmentRequest");
+const TaskComment = require("../models/TaskComment");
+const TaskSeries = require("../models/TaskSeries");
+const { getSetting } = require("./settingsService");
+const { recordAudit } = require("./auditService");
+
+const UPLOAD_DIR = path.join(__dirname, "..", "uploads");
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+// untuk penghapusan otomatis oleh scheduler (tidak ada request / actor)
+const SYSTEM_REQUEST = { headers: {} };
+
+// Attachments are stored as absolute URLs ending in /uploads/<filename>.
+// Anything else (external links) is not ours to delete.
+const toUploadPath = (url) => {
+  const match = /\/uploads\/([^/?#]+)$/.exec(url || "");
+  return match ? path.join(UPLOAD_DIR, path.basename(decodeURIComponent(match[1]))) : null;
+};
+
+// recurring series copy attachment URLs, so a file may still be in use elsewhere
+const isFileStillReferenced = async (url, taskId) => {
+  const [tasks, comments, series] = await Promise.all([
+    Task.countDocuments({ attachments: url, _id: { $ne: taskId } }).setOptions({
+      withDeleted: true,
+    }),
+    TaskComment.countDocuments({ attachments: url, task: { $ne: taskId } }),
+    TaskSeries.countDocuments({ attachments: url }),
+  ]);
+  return tasks + comments + series > 0;
+};
+
+const removeStoredFiles = async (urls, taskId) => {
+  let removed = 0;
+  for (const url of new Set(urls)) {
+    const filePath = toUploadPath(url);
+    if (!filePath || (await isFileStillReferenced(url, taskId))) continue;
+    try {
+      await fs.unlink(filePath);
+      removed += 1;
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+  }
+  return removed;
+};
+
+// Permanently delete a trashed task together with its assignment requests,
+// comments, uploaded files and the dependency links pointing at it.
+const purgeTask = async (task, req = SYSTEM_REQUEST) => {
+  const comments = await TaskComment.find({ task: task._id }).select("attachments");
+  const files = [
+    ...(task.attachments || []),
+    ...comments.flatMap((comment) => comment.attachments || []),
+  ];
+
+  const [requests] = await Promise.all([
+    TaskAssignmentRequest.deleteMany({ taskId: task._id }),
+    TaskComment.deleteMany({ task: task._id }),
+    Task.updateMany({ blockedBy: task._id }, { $pull: { blockedBy: task._id } }),
+  ]);
+  await Task.deleteOne({ _id: task._id });
+  const filesRemoved = await removeStoredFiles(files, task._id);
+
+  await recordAudit(req, {
+    action: "task.purge",
+    entityType: "Task",
+    entityId: task._id,
+    before: task,
+  });
+
+  return {
+    taskId: task._id,
+    assignmentRequestsRemoved: requests.deletedCount,
+    commentsRemoved: comments.length,
+    filesRemoved,
+  };
+};
+
+// hapus permanen task yang sudah melewati masa retensi di trash
+const purgeExpiredTasks = async (req = SYSTEM_REQUEST) => {
+  const { days } = await getSetting("taskRetention");
+  const cutoff = new Date(Date.now() - days * DAY_MS);
+  const tasks = await Task.find({ deletedAt: { $ne: null, $lte: cutoff } });
+
+  const results = [];
+  for (const task of tasks) {
+    results.push(await purgeTask(task, req));
+  }
+  return results;
+};
+
+const startTrashPurgeScheduler = () => {
+  const run = () =>
+    purgeExpiredTasks().catch((error) =>
+      console.error("Trash purge failed:", error.message)
+    );
+  const timer = setInterval(run, PURGE_INTERVAL_MS);
+  timer.unref();
+  run();
+  return timer;
+};
+
+module.exports = { purgeTask, purgeExpiredTasks, startTrashPurgeScheduler };
@@ -0,0 +1,146 @@
+const mongoose = require("mongoose");
+const Task = require("../models/Task");
+const User = require("../models/User");
+const { getSetting } = require("./settingsService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OPEN_STATUSES = ["Pending Approval", "Pending", "In Progress"];
+
+const getWorkloadPolicy = () => getSetting("workloadPolicy");
+
+// bobot satu task menurut policy
+const taskLoad = (task, policy) => {
+  const weight = policy.priorityWeights[task.priority] || 0;
+  if (!policy.useEffortEstimates) {
+    return weight;
+  }
+  const hours = task.effortHours ?? policy.defaultEffortHours[task.priority] ?? 0;
+  return weight * hours;
+};
+
+// Tasks count towards the load when they are open and, with a window set,
+// due before the end of the window (overdue work always counts).
+const inWindow = (task, policy, now = Date.now()) =>
+  !policy.windowDays || !task.dueDate || new Date(task.dueDate).getTime() <= now + policy.windowDays * DAY_MS;
+
+// Current load per user. Returns Map(userId -> { user, load, capacity, taskCount }).
+const computeUserLoads = async (userIds, { excludeTaskId = null, policy = null } = {}) => {
+  const activePolicy = policy || (await getWorkloadPolicy());
+  const ids = userIds.map((id) => new mongoose.Types.ObjectId(id.toString()));
+
+  const [users, tasks] = await Promise.all([
+    User.find({ _id: { $in: ids } }).select("name profileImageUrl workloadCapacity"),
+    Task.find({
+      assignedTo: { $in: ids },
+      status: { $in: OPEN_STATUSES },
+      ...(excludeTaskId ? { _id: { $ne: excludeTaskId } } : {}),
+    }).select("assignedTo priority effortHours dueDate"),
+  ]);
+
+  const loads = new Map(
+    users.map((user) => [
+      user._id.toString(),
+      {
+        user,
+        load: 0,
+        capacity: user.workloadCapacity ?? activePolicy.defaultCapacity,
+        taskCount: 0,
+      },
+    ])
+  );
+
+  tasks
+    .filter((task) => inWindow(task, activePolicy))
+    .forEach((task) => {
+      const load = taskLoad(task, activePolicy);
+      task.assignedTo.forEach((userId) => {
+        const entry = loads.get(userId.toString());
+        if (!entry) return;
+        entry.load += load;
+        entry.taskCount += 1;
+      });
+    });
+
+  return loads;
+};
+
+// Shared evaluator for createTask, bulk assignment and the workload check:
+// a user needs an assignment request when they are already at capacity or the
+// candidate task would push them over it.
+const evaluateAssignment = async (userIds, candidate = {}) => {
+  const policy = await getWorkloadPolicy();
+  const loads = await computeUserLoads(userIds, {
+    excludeTaskId: candidate._id || null,
+    policy,
+  });
+  const candidateLoad =
+    candidate.priority && inWindow(candidate, policy) ? taskLoad(candidate, policy) : 0;
+
+  const available = [];
+  const overloaded = [];
+  const details = [];
+  userIds.forEach((userId) => {
+    const entry = loads.get(userId.toString());
+    if (!entry) {
+      // unknown users are validated elsewhere; don't block on them here
+      available.push(userId);
+      return;
+    }
+    const projectedLoad = entry.load + candidateLoad;
+    const isOverloaded = entry.load >= entry.capacity || projectedLoad > entry.capacity;
+    (isOverloaded ? overloaded : available).push(userId);
+    details.push({
+      user: { _id: entry.user._id, name: entry.user.name, profileImageUrl: entry.user.profileImageUrl || null },
+      load: entry.load,
+      projectedLoad,
+      capacity: entry.capacity,
+      taskCount: entry.taskCount,
+      overloaded: isOverloaded,
+    });
+  });
+
+  return { available, overloaded, details };
+};
+
+// validasi policy dari superadmin; mengembalikan { policy } atau { error }
+const parseWorkloadPolicy = (body, current) => {
+  const policy = { ...current, ...body };
+  const priorities = ["Low", "Medium", "High"];
+  const isWeightMap = (value) =>
+    value &&
+    typeof value === "object" &&
+    priorities.every((key) => typeof value[key] === "number" && value[key] >= 0);
+
+  if (!isWeightMap(policy.priorityWeights)) {
+    return { error: "priorityWeights needs a non-negative number for Low, Medium and High" };
+  }
+  if (!isWeightMap(policy.defaultEffortHours)) {
+    return { error: "defaultEffortHours needs a non-negative number for Low, Medium and High" };
+  }
+  if (typeof policy.useEffortEstimates !== "boolean") {
+    return { error: "useEffortEstimates must be a boolean" };
+  }
+  if (policy.windowDays !== null && (!Number.isInteger(policy.windowDays) || policy.windowDays < 1)) {
+    return { error: "windowDays must be a positive whole number or null" };
+  }
+  if (typeof policy.defaultCapacity !== "number" || policy.defaultCapacity <= 0) {
+    return { error: "defaultCapacity must be a positive number" };
+  }
+
+  return {
+    policy: {
+      priorityWeights: policy.priorityWeights,
+      useEffortEstimates: policy.useEffortEstimates,
+      defaultEffortHours: policy.defaultEffortHours,
+      windowDays: policy.windowDays,
+      defaultCapacity: policy.defaultCapacity,
+    },
+  };
+};
+
+module.exports = {
+  getWorkloadPolicy,
+  computeUserLoads,
+  evaluateAssignment,
+  parseWorkloadPolicy,
+};